@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+/**
+ * Command-line tool of the GSfc4q project: encode, decode, convert and tabulate.
+ * Source-code:  https://github.com/ppkrauss/Sfc4q
+ * License: Apache2, http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Usage: node bin/sfc4q.js <command> [options] [arguments]
+ * Without arguments the command reads its arguments from stdin, one line per input (batch mode).
+ */
+
+const { GSfc4q, SizedBigInt } = require('../src/GSfc4q.js')
+const { GridOfCurve } = require('../src/curves-grid.js')
+
+const USAGE = `Usage: sfc4q <command> [options] [arguments]
+
+Commands:
+  encode i j          IJ of the blevel grid to key and label.
+  encode --xy x y     (x,y) of the box (see --box) to key and label.
+  decode label        label to level, key, IJ box and bounds in the box.
+  convert label       label from the base --from to the base --to.
+  table               bench01-style table of all cells: key, label and IJ of its blevel cells.
+
+Options:
+  --curve name        registered curve (${GSfc4q.curveNames().join(', ')}), default Hilbert.
+  --level L           level of the grid, integer or half (e.g. 2.5). Required for encode and table.
+  --base b            base of the labels (4h, 16h, 32nvu, etc.), default 4h.
+  --from b, --to b    bases of convert, default 4h and 16h.
+  --box W[,H]         box of the (x,y) coordinates and bounds, default 1 (the unit square).
+  --format f          tsv (default), csv or json.
+  --check             labels with check character, appended to outputs and verified on inputs.
+
+Arguments are separated by spaces or commas. Without arguments, each line of stdin is an input.`
+
+/**
+ * Parses the command line: options (--name value, or --flag) and positional arguments.
+ * @return object {cmd,opts,args}.
+ */
+function args_parse(argv) {
+  const flags = ['xy','check','help']
+  let opts = {}, args = []
+  for (let i=0; i<argv.length; i++) {
+    const a = argv[i]
+    if (a.startsWith('--')) {
+      const name = a.slice(2)
+      if (flags.includes(name)) opts[name] = true;
+      else if (i+1<argv.length) opts[name] = argv[++i];
+      else throw new Error(`option --${name} needs a value`);
+    } else args.push(a)
+  }
+  return {cmd: args.shift(), opts: opts, args: args}
+}
+
+/**
+ * The grid of the options. The level is optional, the grid of decode is refreshed by the label.
+ */
+function grid_make(opts, needLevel=true) {
+  if (needLevel && opts.level===undefined) throw new Error("option --level is required");
+  const level = (opts.level===undefined)? 1: parseFloat(opts.level)
+  const [w,h] = (opts.box || '1').split(',').map(parseFloat)
+  const grid = new GridOfCurve( GSfc4q.create(opts.curve||'Hilbert', level, opts.base||'4h'), w, h||w )
+  grid.sfc4.withCheck = !!opts.check
+  return grid
+}
+
+// // // Commands, returning records (objects of string or number values):
+
+function cmd_encode(grid, opts, args) {
+  const sfc4 = grid.sfc4
+  if (args.length!=2) throw new Error("encode needs two coordinates");
+  let ij
+  if (opts.xy) {
+    const [x,y] = args.map(parseFloat)
+    if ( !(x>=0 && x<grid.box_width && y>=0 && y<grid.box_height) ) // false for NaN
+      throw new Error(`XY (${args}) is outside the box ${grid.box_width},${grid.box_height}`);
+    ij = grid.xy_to_ij(x,y)
+  } else {
+    const bad = args.find( v => !/^\d+$/.test(v) )
+    if (bad!==undefined) throw new Error(`IJ coordinate "${bad}" is not a non-negative integer`);
+    ij = args.map( v => BigInt(v) )
+    if ( ij.some(v => v<0n || v>=sfc4.nRefRows) )
+      throw new Error(`IJ (${args}) is outside the grid of ${sfc4.nRefRows} rows`);
+  }
+  const key = sfc4.ij_toKey(...ij)
+  return [{ key: key.toString(), label: sfc4.setID_byKey(key).id_toString(), level: sfc4.level }]
+}
+
+function cmd_decode(grid, opts, args) {
+  const sfc4 = grid.sfc4
+  if (args.length!=1) throw new Error("decode needs one label");
+  const p = sfc4.id_parse(args[0])
+  if (p.level>sfc4.constructor.maxLevel) throw new Error(`level ${p.level} is greater than ${sfc4.constructor.maxLevel}`);
+  grid.refreshProperties(p.level)
+  const [i0,j0,i1,j1] = sfc4.key_toIJBox(p.key)
+  const [x0,y0] = grid.ij_to_xy(i0,j0), [x1,y1] = grid.ij_to_xy(i1+1n,j1+1n)
+  return [{
+    label: args[0], level: p.level, key: p.key.toString(),
+    ij: [i0,j0,i1,j1].join(','), bounds: [x0,y0,x1,y1].join(',')
+  }]
+}
+
+function cmd_convert(grid, opts, args) {
+  if (args.length!=1) throw new Error("convert needs one label");
+  const from = opts.from || '4h', to = opts.to || '16h'
+  const label = opts.check? SizedBigInt.checkDigit_verify(args[0], from): args[0]
+  const sbi = new SizedBigInt(label, from, null, false)
+  if (sbi.val===null) throw new Error(`invalid label "${args[0]}" in base ${from}`);
+  const r = SizedBigInt.baseLabel(to)
+  if (!r.isHierar && sbi.bits%r.bitsPerDigit)
+    throw new Error(`label "${args[0]}" of level ${sbi.bits/2} (${sbi.bits} bits) not fits in the base ${r.label}, of ${r.bitsPerDigit} bits per digit`);
+  let converted = sbi.toString(to)
+  if (opts.check) converted += SizedBigInt.checkDigit(converted, to);
+  return [{ label: args[0], converted: converted, bits: sbi.bits }]
+}
+
+function cmd_table(grid) {
+  const sfc4 = grid.sfc4
+  let r = []
+  for (let key=0n; key<sfc4.nKeys; key++) {
+    const [ij0,ij1] = sfc4.key_decode(key)
+    r.push({
+      key: key.toString(), label: sfc4.setID_byKey(key).id_toString(),
+      ij: ij0.join(','), ij2: ij1? ij1.join(','): ''
+    })
+  }
+  return r
+}
+
+const commands = { encode:cmd_encode, decode:cmd_decode, convert:cmd_convert, table:cmd_table }
+
+/**
+ * Formats records as TSV or CSV lines, or JSON (one object per line).
+ */
+function records_format(records, format='tsv', header=false) {
+  if (format=='json') return records.map( r => JSON.stringify(r) );
+  if (format!='tsv' && format!='csv') throw new Error(`format "${format}" not exists`);
+  const sep = (format=='csv')? ',': '\t'
+  const cell = v => (format=='csv' && /[",\n]/.test(String(v)))? `"${String(v).replace(/"/g,'""')}"`: String(v)
+  let lines = records.map( r => Object.values(r).map(cell).join(sep) )
+  if (header && records.length) lines.unshift( Object.keys(records[0]).join(sep) );
+  return lines
+}
+
+/**
+ * Runs the command of the arguments, or of each stdin line (batch mode), streaming the records.
+ * @return Promise of the exit code.
+ */
+async function main(argv) {
+  const {cmd, opts, args} = args_parse(argv)
+  if (opts.help || !cmd) { console.log(USAGE); return 0; }
+  const run = commands[cmd]
+  if (!run) throw new Error(`command "${cmd}" not exists, see --help`);
+  const grid = grid_make(opts, cmd=='encode' || cmd=='table')
+  const format = opts.format || 'tsv'
+  if (cmd=='table' || args.length) {
+    const out = records_format( run(grid, opts, args), format, cmd=='table' )
+    if (out.length) console.log(out.join('\n'));
+    return 0
+  }
+  // batch mode, stdin lines as arguments:
+  const lines = require('readline').createInterface({ input: process.stdin, crlfDelay: Infinity })
+  let errors = 0, n = 0
+  for await (const line of lines) {
+    n++
+    const lineArgs = line.trim().split(/[\s,]+/).filter(a => a!=='')
+    if (!lineArgs.length) continue;
+    try {
+      for (const out of records_format(run(grid, opts, lineArgs), format)) console.log(out);
+    } catch (e) {
+      errors++
+      console.error(`sfc4q: line ${n}: ${e.message}`)
+    }
+  }
+  return errors? 1: 0
+}
+
+main( process.argv.slice(2) ).then(
+  code => { process.exitCode = code },
+  e => {
+    console.error(`sfc4q: ${e.message}`)
+    process.exitCode = 1
+  }
+)
@@ -42,9 +42,16 @@ class GSfc4q {
     this.needSwap = false  // about cell rotation (swapping i and j), default value, need overhide
     this.halfIsOptimized = false  // for adaptated Morton and others, default value, need overhide
   }
+  /**
+   * The stable name of the curve, see GSfc4q.register().
+   */
+  get curveName() {
+    return this.constructor.hasOwnProperty('curveName')? this.constructor.curveName: this.constructor.name
+  }
+
   debugStates() {
     return {
-       level:this.level, blevel:this.blevel, isHalf:this.isHalf, nKeys:this.nKeys, nBKeys:this.nBKeys
+       curveName:this.curveName, level:this.level, blevel:this.blevel, isHalf:this.isHalf, nKeys:this.nKeys, nBKeys:this.nBKeys
      , keyBits:this.keyBits, nRefRows:this.nRefRows, needSwap:this.needSwap, halfIsOptimized:this.halfIsOptimized
     }
   }
@@ -55,6 +62,9 @@ class GSfc4q {
    */
   refresh(level) {
     this.level  = level || this.level || 1
+    const maxLevel = this.constructor.maxLevel
+    if (this.level > maxLevel)
+      throw new Error(`ERR9. Level ${this.level} exceeds the maximum level ${maxLevel} of ${this.constructor.name}`);
     // PROPRIETIES:
     this.blevel = Math.ceil(this.level)       // use this level for internal calculus
     this.isHalf = (this.blevel != this.level)  // or !(this.level % 0.5)
@@ -72,11 +82,12 @@ class GSfc4q {
   /**
    * Translates key to (i,j) coordinates.
    * @param {integer} key - distance from origin in the curve at level.
-   * @return {array} - the coordinates IJ in [IJ0,IJ1] with IJ1=null when not isHalf.
+   * @return {array} - the coordinates IJ (BigInt pairs) in [IJ0,IJ1] with IJ1=null when not isHalf.
    */
   key_decode(key) {
       if (typeof key != 'bigint') key = BigInt(key)
       if (this.isHalf) {
+        if (this.halfIsOptimized) return this.halfKey_decode(key);
         let bkey = 2n*key  // blevel
         let ij0 = this.bkey_decode(bkey)
         return [ ij0, this.bkey_decode(bkey+1n) ]
@@ -93,22 +104,319 @@ class GSfc4q {
    */
   key_encode(i,j) {
     if (this.isHalf) {
-      let bkey1  = this.bkey_encode(i,j); // bkey at blevel
-      let key   = bkey1>>1n; //  level
-      bkey1 = key<<1n;  // normalized bkey1
+      let key = this.halfIsOptimized
+          ? this.halfKey_encode(i,j) // level
+          : this.bkey_encode(i,j)>>1n; // bkey at blevel to level
+      let bkey1 = key<<1n;  // normalized bkey1
       let bkey2 = bkey1+1n
       return [bkey1, bkey2]
     } else
       return [this.bkey_encode(i,j),null];
   }
 
+  /**
+   * Translates to *key* the (i,j) coordinates, the key of the cell of level that contains the blevel cell (i,j).
+   * @param {integer} i - the rounded X coordinate, left to right.
+   * @param {integer} j - the rounded Y coordinate, top to bottom.
+   * @return {BigInt} - the key at level.
+   */
+  ij_toKey(i,j) {
+    let bkey = this.key_encode(i,j)[0]
+    return this.isHalf? bkey>>1n: bkey
+  }
+
+  /**
+   * Box of the blevel cells of a key, of any level not finer than the current one.
+   * A key of integer level is a square block, of half level the union of two blocks.
+   * @param {integer} key - the key at level.
+   * @param {float} level - the level of the key, default the current one.
+   * @return {array} - BigInt coordinates [i0,j0,i1,j1] of the top-left and bottom-right blevel cells.
+   */
+  key_toIJBox(key, level=this.level) {
+    const [keyBits] = this._levelBits(level)
+    if (keyBits>this.keyBits) throw new Error(`ERR12. Level ${level} is finer than the grid level ${this.level}`);
+    key = this._levelKey(key,keyBits)
+    const blocks = (keyBits%2)? [2n*key, 2n*key+1n]: [key] // blocks of integer level
+    const shift = BigInt(2*this.blevel - keyBits - keyBits%2)
+    const s = 1n << (shift/2n)
+    let box = null
+    for (const k of blocks) {
+      const [i,j] = this.bkey_decode(k<<shift).map( v => v & ~(s-1n) )
+      box = box? [
+        (i<box[0])? i: box[0],  (j<box[1])? j: box[1],
+        (i+s-1n>box[2])? i+s-1n: box[2],  (j+s-1n>box[3])? j+s-1n: box[3]
+      ]: [i, j, i+s-1n, j+s-1n];
+    }
+    return box
+  }
+
+  /**
+   * Grid neighbours of a key, at the same level. Uses the blevel cells of the key, so is valid also
+   * for the degenerated grids of half levels, where a side of a cell can touch two neighbours.
+   * Directions: top is j-1, left is i-1.
+   * @param {integer} key - distance from origin in the curve at level.
+   * @param {boolean} corners - flag to include the corner neighbours, that are not also edge neighbours.
+   *  A corner is omitted when its cell is already an edge neighbour (possible at half levels).
+   * @param {boolean} clip - flag to omit the directions outside the unit square, instead of null.
+   * @return {object} - for each direction an array of one or two keys, or null when outside.
+   */
+  key_neighbours(key, corners=false, clip=false) {
+    const ijs = this.key_decode(key).filter(ij => ij)
+    const max = this.nRefRows-1n
+    let [i0,j0] = ijs[0], [i1,j1] = ijs[ijs.length-1];
+    [i0,i1] = (i0<i1)? [i0,i1]: [i1,i0];
+    [j0,j1] = (j0<j1)? [j0,j1]: [j1,j0];
+    const dirs = {
+      top:    [[i0,j0-1n], [i1,j0-1n]],
+      right:  [[i1+1n,j0], [i1+1n,j1]],
+      bottom: [[i0,j1+1n], [i1,j1+1n]],
+      left:   [[i0-1n,j0], [i0-1n,j1]]
+    }
+    if (corners) Object.assign(dirs, {
+      topRight:    [[i1+1n,j0-1n]],
+      bottomRight: [[i1+1n,j1+1n]],
+      bottomLeft:  [[i0-1n,j1+1n]],
+      topLeft:     [[i0-1n,j0-1n]]
+    })
+    const cornerDirs = ['topRight','bottomRight','bottomLeft','topLeft']
+    let r = {}, edgeKeys = []
+    for (const d in dirs) {
+      if (dirs[d].some( ([i,j]) => i<0n || j<0n || i>max || j>max )) {
+        if (!clip) r[d] = null;
+        continue
+      }
+      let keys = [...new Set( dirs[d].map( ([i,j]) => this.ij_toKey(i,j) ) )]
+      if (cornerDirs.includes(d)) {
+        keys = keys.filter( k => !edgeKeys.includes(k) )
+        if (!keys.length) continue; // corner cell is an edge neighbour
+      } else edgeKeys.push(...keys)
+      r[d] = keys
+    }
+    return r
+  }
+
+  /**
+   * Decomposition of an IJ rectangle into ranges of keys of the curve, for database range queries.
+   * Uses the hierarchy of the keys, each prefix is a square block of blevel cells.
+   * When isHalf the ranges include the cells that intersect the rectangle by one of its two blevel cells.
+   * @param {integer} i0 - the X coordinate of the top-left blevel cell.
+   * @param {integer} j0 - the Y coordinate of the top-left blevel cell.
+   * @param {integer} i1 - the X coordinate of the bottom-right blevel cell, included.
+   * @param {integer} j1 - the Y coordinate of the bottom-right blevel cell, included.
+   * @param {integer} maxRanges - zero for the minimal exact list, or the maximum number of ranges, closing the smallest gaps.
+   * @return {array} - BigInt ranges [startKey,endKey], end included, in curve order.
+   */
+  ij_toKeyRanges(i0, j0, i1, j1, maxRanges=0) {
+    let r = [...this.ij_iterKeyRanges(i0,j0,i1,j1)]
+    if (maxRanges && r.length>maxRanges) { // closes the smallest gaps
+      const gaps = r.slice(1)
+        .map( (x,n) => [x[0]-r[n][1], n+1] )
+        .sort( (a,b) => (a[0]<b[0])? -1: (a[0]>b[0])? 1: a[1]-b[1] )
+      const close = new Set( gaps.slice(0, r.length-maxRanges).map(g => g[1]) )
+      r = r.reduce( (acc,x,n) => {
+        if (close.has(n)) acc[acc.length-1][1] = x[1]; else acc.push(x);
+        return acc
+      }, [])
+    }
+    return r
+  }
+
+  /**
+   * Iterator of the ranges of keys of an IJ rectangle, the generator of ij_toKeyRanges() without maxRanges.
+   * Memory use is constant, by the depth of the hierarchy.
+   * @yield {array} - BigInt range [startKey,endKey], end included, in curve order.
+   */
+  *ij_iterKeyRanges(i0, j0, i1, j1) {
+    const max = this.nRefRows-1n
+    const clamp = v => { v=BigInt(v); return (v<0n)? 0n: (v>max)? max: v }
+    ;[i0,j0,i1,j1] = [i0,j0,i1,j1].map(clamp)
+    if (i0>i1) [i0,i1] = [i1,i0];
+    if (j0>j1) [j0,j1] = [j1,j0];
+    const B = BigInt(this.blevel), myThis = this
+    function* visit(prefix, m) { // prefix of 2m bits, block of side s, yields bkey ranges
+      const shift = 2n*(B-m), s = 1n<<(B-m)
+      const first = prefix << shift
+      const [bi,bj] = myThis.bkey_decode(first).map( v => v & ~(s-1n) )
+      if (bi>i1 || bj>j1 || bi+s-1n<i0 || bj+s-1n<j0) return;
+      if (bi>=i0 && bj>=j0 && bi+s-1n<=i1 && bj+s-1n<=j1)
+        yield [first, first+(1n<<shift)-1n];
+      else
+        for (let c=0n; c<4n; c++) yield* visit(prefix*4n+c, m+1n);
+    }
+    let last = null // merges the adjacent ranges
+    for (let [a,b] of visit(0n, 0n)) {
+      if (this.isHalf) [a,b] = [a>>1n, b>>1n];
+      if (last && a<=last[1]+1n) { if (b>last[1]) last[1] = b; }
+      else { if (last) yield last; last = [a,b]; }
+    }
+    if (last) yield last;
+  }
+
+  /**
+   * Decomposition of a range of keys into hierarchical prefixes, the minimal set of cells of
+   * coarser levels (integer or half) that have exactly the range as descendants.
+   * The coarsest level is 0.5, as the other level APIs: the whole grid is the two cells of level 0.5.
+   * @param {integer} start - first key of the range.
+   * @param {integer} end - last key of the range, included.
+   * @param {float} level - the level of the keys, default the current one.
+   * @return {array} - of {key,level} prefixes in curve order, valid for id_byKey() and key_descendants().
+   */
+  keyRange_toPrefixes(start, end, level=this.level) {
+    const [keyBits] = this._levelBits(level)
+    start = this._levelKey(start,keyBits)
+    end   = this._levelKey(end,keyBits)
+    let r = []
+    while (start<=end) {
+      let k = 0n // bits of the block
+      while (k<keyBits-1 && !(start & ((2n<<k)-1n)) && start+(2n<<k)-1n <= end) k++
+      r.push({ key: start>>k, level: (keyBits-Number(k))/2 })
+      start += 1n<<k
+    }
+    return r
+  }
+
+  // // // // hierarchy navigation:  // // //
+  // Keys are hierarchical for any level, integer or half: the key of a coarser level is a prefix of the key bits.
+
+  /**
+   * Ancestor of a key, at a coarser level.
+   * @param {integer} key - the key at level.
+   * @param {float} toLevel - the level of the ancestor, a multiple of 0.5 not greater than level.
+   * @param {float} level - the level of the key, default the current one.
+   * @return {BigInt} - the key of the ancestor.
+   */
+  key_ancestor(key, toLevel, level=this.level) {
+    const [keyBits,toBits] = this._levelBits(level,toLevel)
+    if (toBits>keyBits) throw new Error(`ERR12. Level ${toLevel} is not coarser than level ${level}`);
+    return this._levelKey(key,keyBits) >> BigInt(keyBits-toBits)
+  }
+
+  /**
+   * Parent of a key.
+   * @param {integer} key - the key at level.
+   * @param {float} step - 1 for the parent in the aperture-4 hierarchy, or 0.5 for the half level hierarchy.
+   * @param {float} level - the level of the key, default the current one.
+   * @return {BigInt} - the key of the parent, at level-step.
+   */
+  key_parent(key, step=1, level=this.level) {
+    return this.key_ancestor(key, level-step, level)
+  }
+
+  /**
+   * Contiguous range of the descendants of a key, at a finer level.
+   * @param {integer} key - the key at level.
+   * @param {float} toLevel - the level of the descendants, a multiple of 0.5 not lower than level.
+   * @param {float} level - the level of the key, default the current one.
+   * @return {array} - BigInt keys [first,last] of the descendants, last included.
+   */
+  key_descendants(key, toLevel, level=this.level) {
+    const [keyBits,toBits] = this._levelBits(level,toLevel)
+    if (toBits<keyBits) throw new Error(`ERR12. Level ${toLevel} is not finer than level ${level}`);
+    const shift = BigInt(toBits-keyBits)
+    const first = this._levelKey(key,keyBits) << shift
+    return [ first, first + (1n<<shift) - 1n ]
+  }
+
+  /**
+   * Children of a key: 4 for step 1, 2 for step 0.5.
+   * @param {integer} key - the key at level.
+   * @param {float} step - 1 for the children in the aperture-4 hierarchy, or 0.5 for the half level hierarchy.
+   * @param {float} level - the level of the key, default the current one.
+   * @return {array} - BigInt keys of the children, at level+step.
+   */
+  key_children(key, step=1, level=this.level) {
+    let [k,last] = this.key_descendants(key, level+step, level)
+    let r = []
+    for (; k<=last; k++) r.push(k)
+    return r
+  }
+
+  // // // // batches of typed arrays:  // // //
+  // Up to the numMaxLevel of the curve keys are Numbers (exact up to 2^53), by the bkey_encodeNum() fast path.
+  // Above it the per-call BigInt methods are used.
+
+  /**
+   * Keys of a batch of (i,j) coordinates, the same of ij_toKey() for each pair.
+   * @param {Uint32Array} iArr - the X coordinates of the blevel cells, or any array of integers.
+   * @param {Uint32Array} jArr - the Y coordinates, same length of iArr.
+   * @param {Float64Array} out - optional output, a Float64Array, or an array (or BigUint64Array) of BigInts above numMaxLevel.
+   * @return {Float64Array} - the keys, or an array of BigInts above numMaxLevel.
+   */
+  ij_toKeys(iArr, jArr, out=null) {
+    const len = iArr.length, isNum = this.blevel <= this.constructor.numMaxLevel
+    if (!out) out = isNum? new Float64Array(len): new Array(len);
+    this._batchCheck(len, jArr, out)
+    if (isNum) {
+      const n = Number(this.nRefRows)
+      for (let k=0; k<len; k++) {
+        const bkey = this.bkey_encodeNum(iArr[k], jArr[k], n)
+        out[k] = this.isHalf? Math.floor(bkey/2): bkey
+      }
+    } else
+      for (let k=0; k<len; k++) out[k] = this.ij_toKey(iArr[k], jArr[k]);
+    return out
+  }
+
+  /**
+   * IJ coordinates of a batch of keys, the same of key_decode() for each key.
+   * When isHalf it is the first blevel cell of the key, the IJ0 of key_decode().
+   * @param {Float64Array} keys - the keys at level, Numbers or (above numMaxLevel) BigInts.
+   * @param {Uint32Array} iOut - optional output of the X coordinates, a Uint32Array, or an array of BigInts above level 32.
+   * @param {Uint32Array} jOut - optional output of the Y coordinates, as iOut.
+   * @return {array} - [iOut,jOut].
+   */
+  keys_toIJ(keys, iOut=null, jOut=null) {
+    const len = keys.length, isNum = this.blevel <= this.constructor.numMaxLevel
+    const isBig = this.blevel>32 // coordinates out of Uint32
+    if (!iOut) iOut = isBig? new Array(len): new Uint32Array(len);
+    if (!jOut) jOut = isBig? new Array(len): new Uint32Array(len);
+    this._batchCheck(len, iOut, jOut)
+    if (isNum) {
+      const n = Number(this.nRefRows), ij = [0,0]
+      for (let k=0; k<len; k++) {
+        this.bkey_decodeNum(this.isHalf? 2*keys[k]: keys[k], n, ij)
+        iOut[k] = ij[0]
+        jOut[k] = ij[1]
+      }
+    } else
+      for (let k=0; k<len; k++) {
+        const [i,j] = this.key_decode(keys[k])[0]
+        iOut[k] = isBig? i: Number(i)
+        jOut[k] = isBig? j: Number(j)
+      }
+    return [iOut, jOut]
+  }
+
+  // Private methods:
+
+  _batchCheck(len, ...arrs) { // checks the lengths of the arrays of a batch
+    if (arrs.some( a => a.length<len )) throw new Error(`ERR16. Batch arrays must have at least ${len} items`);
+  }
+
+
+  _levelBits(...levels) { // returns the key bits of each level
+    const maxLevel = this.constructor.maxLevel
+    return levels.map( level => {
+      const bits = 2*level
+      if (!Number.isInteger(bits) || bits<1 || level>maxLevel)
+        throw new Error(`ERR10. Invalid level ${level}, must be a multiple of 0.5 in the range [0.5,${maxLevel}]`);
+      return bits
+    })
+  }
+
+  _levelKey(key, keyBits) { // checks the key range of the level
+    if (typeof key != 'bigint') key = BigInt(key)
+    if (key<0n || key>>BigInt(keyBits)) throw new Error(`ERR11. Key ${key} out of the range of ${keyBits} bits`);
+    return key
+  }
+
 
   // // // // methods to be overhided:  // // //
 
   /**
    * Concrete method. Same as key_decode() method, but for integer levels only.
    * @param {integer} bkey - distance from origin in the curve.
-   * @return {array} - the IJ coordinates of the key.
+   * @return {array} - the IJ coordinates of the key, as BigInts.
    */
   bkey_decode(bkey) { return [null,null] } // to overhide by curve.
 
@@ -120,14 +428,133 @@ class GSfc4q {
    */
   bkey_encode(i,j) { return null }   // to overhide by curve.
 
+  /**
+   * Concrete method, used only when *halfIsOptimized*. Same as key_decode() method, but for half levels only.
+   * @param {BigInt} key - distance from origin in the curve at level.
+   * @return {array} - the coordinates IJ (BigInt pairs) of bkeys 2*key and 2*key+1.
+   */
+  halfKey_decode(key) { return [[null,null],[null,null]] } // to overhide by curve.
+
+  /**
+   * Concrete method, used only when *halfIsOptimized*. Translates to *key* of half level the (i,j) coordinates.
+   * @param {integer} i - the rounded X coordinate, left to right.
+   * @param {integer} j - the rounded Y coordinate, top to bottom.
+   * @return {BigInt} - the key at level.
+   */
+  halfKey_encode(i,j) { return null }   // to overhide by curve.
+
+  /**
+   * Concrete method, used only up to *numMaxLevel*. Same as bkey_encode(), with Numbers, the fast path of ij_toKeys().
+   * @param {number} i - the rounded X coordinate, left to right.
+   * @param {number} j - the rounded Y coordinate, top to bottom.
+   * @param {number} n - the Number of nRefRows.
+   * @return {number} - the bkey.
+   */
+  bkey_encodeNum(i,j,n) { return null }   // to overhide by curve.
+
+  /**
+   * Concrete method, used only up to *numMaxLevel*. Same as bkey_decode(), with Numbers, the fast path of keys_toIJ().
+   * @param {number} bkey - distance from origin in the curve.
+   * @param {number} n - the Number of nRefRows.
+   * @param {array} ij - the pair to mutate with the IJ coordinates of the bkey.
+   */
+  bkey_decodeNum(bkey,n,ij) { ij[0] = ij[1] = null }  // to overhide by curve.
+
   // used only on (needSwap) rotated geometries of rectangular cells
-  key_swapSides(key,xref,yref) { return [xref,yref] } // to get cell sizes by ID
-  ij_swapSides(i,j,xref,yref) { return [xref,yref] } // to get cell sizes by (i,j)
-  ij_nSwaps(i,j) { return [0n,0n] } // to get XY grid position, number of X-rotations and Y-rotations.
 
-} // \GSfc4qLbl
+  /**
+   * Cell sizes by ID. See ij_swapSides().
+   * @param {integer} key - distance from origin in the curve at level.
+   * @param {float} xref - width of the reference cell of blevel.
+   * @param {float} yref - height of the reference cell of blevel.
+   * @return {array} - [width,height] of the cell.
+   */
+  key_swapSides(key,xref,yref) {
+    let ij = this.key_decode(key)[0]
+    return this.ij_swapSides(ij[0],ij[1],xref,yref)
+  }
+
+  /**
+   * Cell sizes by (i,j), of the cell (at level) that contains the blevel cell (i,j).
+   * When *isHalf* the cell is the union of two blevel cells, doubling one of the sides.
+   * Without rotations (!needSwap) the union has the direction of bkeys 0 and 1.
+   * @param {integer} i - the rounded X coordinate, left to right.
+   * @param {integer} j - the rounded Y coordinate, top to bottom.
+   * @param {float} xref - width of the reference cell of blevel.
+   * @param {float} yref - height of the reference cell of blevel.
+   * @return {array} - [width,height] of the cell.
+   */
+  ij_swapSides(i,j,xref,yref) {
+    if (!this.isHalf) return [xref,yref];
+    let ij0 = this.bkey_decode(0n), ij1 = this.bkey_decode(1n)
+    return (ij0[0]!=ij1[0])? [2*xref,yref]: [xref,2*yref]
+  }
+
+  /**
+   * Rotation bookkeeping of the curve's frame where the cell (i,j) of level is drawn.
+   * @param {integer} i - the rounded X coordinate, left to right.
+   * @param {integer} j - the rounded Y coordinate, top to bottom.
+   * @return {array} - BigInts, number of swaps (i,j transpositions) and of reflections.
+   */
+  ij_nSwaps(i,j) { return [0n,0n] }
+
+  // // // // curve registry:  // // //
+
+  /**
+   * Registers a concrete curve class, to be built by name with GSfc4q.create().
+   * The name is also the curveName of its instances. Valid for third-party curves.
+   * @param {string} name - the stable name of the curve (case-insensitive on lookup).
+   * @param {class} curveClass - a GSfc4q (usually GSfc4qLbl) extension.
+   */
+  static register(name, curveClass) {
+    if (typeof curveClass != 'function' || !(curveClass.prototype instanceof GSfc4q))
+      throw new Error(`curve "${name}" must be a GSfc4q class extension`);
+    const key = String(name).toLowerCase()
+    const old = GSfc4q.kx_curves[key]
+    if (old && old!==curveClass) throw new Error(`curve "${name}" is registered by other class`);
+    GSfc4q.kx_curves[key] = curveClass
+    if (!curveClass.hasOwnProperty('curveName')) curveClass.curveName = name
+  }
+
+  /**
+   * Registered curve class by its name.
+   * @param {string} name - the curve name (case-insensitive).
+   * @return {class} - the concrete curve class.
+   */
+  static curveClass(name) {
+    const r = GSfc4q.kx_curves[ String(name).toLowerCase() ]
+    if (!r) throw new Error(`curve "${name}" not exists, must be registered`);
+    return r
+  }
+
+  /**
+   * Factory, builds a curve by name.
+   * @param {string} name - the curve name (case-insensitive), see GSfc4q.curveNames().
+   * @param {float} level - hierarchical level of aperture-4 hierarchical grid. Valid integer and "half levels".
+   * @param {string} base - the abbreviation of name of standard base (2, 4js, 4h, 16h, 32ghs, etc.)
+   * @param {string} id0 - grid ID used as prefix in the cell ID.
+   * @param {string} id0_maxBits - maximum number of bits in an ID0.
+   * @return {GSfc4q} - new instance of the curve.
+   */
+  static create(name, level, base, id0, id0_maxBits) {
+    const curveClass = GSfc4q.curveClass(name)
+    return new curveClass(level, base, id0, id0_maxBits)
+  }
+
+  /**
+   * Names of the registered curves, in registration order.
+   * @return {array} - of strings.
+   */
+  static curveNames() {
+    return [...new Set( Object.values(GSfc4q.kx_curves) )].map(c => c.curveName)
+  }
+
+} // \GSfc4q
 
 GSfc4q.conf_alertLevel=0 // static global variable for config
+GSfc4q.maxLevel=128 // static, maximum level of the curve, overridden by concrete classes
+GSfc4q.numMaxLevel=0 // static, maximum level of the Number fast path (bkey_encodeNum), 0 for none
+GSfc4q.kx_curves={}  // static cache of the curve registry, see GSfc4q.register()
 
 // // // // // //
 
@@ -149,6 +576,7 @@ class GSfc4qLbl extends GSfc4q {
   constructor(level,base,id0,id0_maxBits) {
     super(level)
     this.base = null
+    this.withCheck = false // flag to append (and require) a check character in labels, see lbl_toString()
     this.sbiID = new SizedBigInt()  //  val,radix,maxBits,onErr_cutLSD
     this.lblRefresh(base,id0,id0_maxBits)
   }
@@ -174,7 +602,7 @@ class GSfc4qLbl extends GSfc4q {
           SizedBigInt.kx_trConfig(this.base) // for exotic bases
         }
     }
-    let id0_tmp = new SizedBigInt(id0,this.base,id0_maxBits,true)
+    let id0_tmp = new SizedBigInt(id0,this.base,id0_maxBits,false) // error on ID0 overflow
     if (id0!==undefined && id0!==null && id0!=this.id0) {
         this.id0 = id0_tmp.val  // a BigInt
         this.id0_maxBits = id0_tmp.bits
@@ -183,15 +611,46 @@ class GSfc4qLbl extends GSfc4q {
   }
 
   /**
-   * Set ID by ID.
-   * @param {any} id - the cell ID.
-UNDER CONSTRUCTION
+   * Set ID by ID. The ID must be of the current level and, when id0_maxBits, carry the grid's ID0 prefix.
+   * @param {any} id - the cell ID, a string in this.base, a SizedBigInt, or a BigInt (supposing the current level).
+   * @param {boolean} onErr_cutLSD - flag to accept IDs of finer levels, cutting its key to the ancestor of the current level.
    */
   setId(id,onErr_cutLSD=false) {
-     let IDbits = this.keyBits + (this.id0_maxBits?this.id0_maxBits:0)
-     //need to separate key and id0 after SizedBigInt convertion.
-     this.sbiID.fromAny(id, this.base, IDbits, onErr_cutLSD)
-     return this
+     let p = this.id_parse(id)
+     if (this.id0_maxBits && p.id0!==this.id0)
+       throw new Error(`ERR7. ID0 prefix ${p.id0} differs from the grid ID0 ${this.id0}`);
+     if (p.level>this.level && onErr_cutLSD)
+       p.key = p.key >> BigInt(2*(p.level-this.level));
+     else if (p.level!=this.level)
+       throw new Error(`ERR8. ID of level ${p.level} differs from the grid level ${this.level}`);
+     return this.setID_byKey(p.key)
+  }
+
+  /**
+   * Splits a cell ID into its grid prefix (ID0) and its key.
+   * No guess is used: the ID0 has fixed id0_maxBits length, and the bit-length of the key
+   * gives the level, because keyBits=2*level for integer and half levels.
+   * @param {any} id - the cell ID, a string, a SizedBigInt, or a BigInt (supposing the current level).
+   * @param {string} otherbase - none (standard) or other base of the string ID.
+   * @return {object} - {id0,key,level}, with id0 null when there are no id0_maxBits.
+   */
+  id_parse(id,otherbase=null) {
+     const id0Bits = this.id0_maxBits || 0
+     let sbi = new SizedBigInt()
+     if (typeof id == 'string')
+       sbi.fromString(this.lbl_strip(id,otherbase), otherbase||this.base, null)
+     else
+       sbi.fromAny(id, null, (id instanceof SizedBigInt)? null: id0Bits+this.keyBits, false)
+     if (sbi.val===null) throw new Error("ERR5. Empty cell ID");
+     const keyBits = sbi.bits - id0Bits
+     if (keyBits<1)
+       throw new Error(`ERR6. Invalid length, ID of ${sbi.bits} bits has no key after the ${id0Bits} bits of ID0`);
+     const kb = BigInt(keyBits)
+     return {
+       id0:   id0Bits? sbi.val >> kb: null,
+       key:   sbi.val & ((1n<<kb)-1n),
+       level: keyBits/2
+     }
   }
 
   /**
@@ -223,49 +682,269 @@ UNDER CONSTRUCTION
   }
 
   /**
-   * Set ID by key using this.id0.
-   * @param {any} key - any value to be set by setId() method.
-UNDEr CONSTRUCTiON
+   * Set ID by key using this.id0, concatenating ID0 and key bits.
+   * @param {any} key - the key at the current level.
    */
   setID_byKey(key) {
-     if (this.id0_maxBits) {
-       // ! key = concatenate key and this.id0
+     this.setKey(key,false)
+     if (this.id0_maxBits) this.sbiID.fromAny( this.id_byKey(this.sbiID.val) )
+     return this
+  }
+
+  /**
+   * Builds the cell ID of a key at any level, using this.id0.
+   * @param {any} key - the key at level, BigInt or Number.
+   * @param {float} level - the level of the key, default the current one.
+   * @return {SizedBigInt} - the ID, with ID0 and key bits.
+   */
+  id_byKey(key, level=this.level) {
+     const [keyBits] = this._levelBits(level)
+     const id0Bits = this.id0_maxBits || 0
+     let val = this._levelKey(key,keyBits)
+     if (id0Bits) val |= this.id0 << BigInt(keyBits)
+     return new SizedBigInt({val:val, maxBits:id0Bits+keyBits})
+  }
+
+  /**
+   * Parent of a cell ID, of any level. See key_parent().
+   * @param {any} id - the cell ID, a string in this.base or a SizedBigInt.
+   * @param {float} step - 1 for the aperture-4 hierarchy, or 0.5 for the half level hierarchy.
+   * @param {string} otherbase - none (standard) or other base of the returned label.
+   * @return {string} - the label of the parent ID.
+   */
+  id_parent(id, step=1, otherbase=null) {
+     const p = this.id_parse(id)
+     return this.lbl_toString( this.id_byKey(this.key_parent(p.key,step,p.level), p.level-step), otherbase )
+  }
+
+  /**
+   * Ancestor of a cell ID, of any level. See key_ancestor().
+   * @param {any} id - the cell ID, a string in this.base or a SizedBigInt.
+   * @param {float} toLevel - the coarser level.
+   * @param {string} otherbase - none (standard) or other base of the returned label.
+   * @return {string} - the label of the ancestor ID.
+   */
+  id_ancestor(id, toLevel, otherbase=null) {
+     const p = this.id_parse(id)
+     return this.lbl_toString( this.id_byKey(this.key_ancestor(p.key,toLevel,p.level), toLevel), otherbase )
+  }
+
+  /**
+   * Children of a cell ID, of any level. See key_children().
+   * @param {any} id - the cell ID, a string in this.base or a SizedBigInt.
+   * @param {float} step - 1 for the aperture-4 hierarchy, or 0.5 for the half level hierarchy.
+   * @param {string} otherbase - none (standard) or other base of the returned labels.
+   * @return {array} - labels of the children IDs.
+   */
+  id_children(id, step=1, otherbase=null) {
+     const p = this.id_parse(id)
+     return this.key_children(p.key,step,p.level).map(
+       k => this.lbl_toString( this.id_byKey(k, p.level+step), otherbase )
+     )
+  }
+
+  /**
+   * Range of the descendants of a cell ID, of any level. See key_descendants().
+   * @param {any} id - the cell ID, a string in this.base or a SizedBigInt.
+   * @param {float} toLevel - the finer level.
+   * @param {string} otherbase - none (standard) or other base of the returned labels.
+   * @return {array} - labels [first,last] of the descendant IDs.
+   */
+  id_descendants(id, toLevel, otherbase=null) {
+     const p = this.id_parse(id)
+     return this.key_descendants(p.key,toLevel,p.level).map(
+       k => this.lbl_toString( this.id_byKey(k, toLevel), otherbase )
+     )
+  }
+
+  /**
+   * Iterator of the cells of a range of keys, in curve order, with constant memory use. The current ID is not changed.
+   * @param {integer} start - first key, default the first of the grid.
+   * @param {integer} end - last key (included), default the last of the grid.
+   * @param {array} bases - the bases of the labels, default [this.base].
+   * @yield {object} - {key,ij,id,labels}, ij as the IJ pair (second null when not isHalf), id as SizedBigInt.
+   */
+  *iterCells(start=0n, end=this.nKeys-1n, bases=null) {
+     bases = bases || [this.base]
+     for (let key=BigInt(start); key<=BigInt(end); key++) {
+       const id = this.id_byKey(key), labels = {}
+       for (const b of bases) labels[b] = this.lbl_toString(id,b);
+       yield { key: key, ij: this.key_decode(key), id: id, labels: labels }
      }
-     return this.setId(key)
   }
 
   /**
-   * Set ID by (i,j) or array IJ. Numbers, not BigInt's.
+   * Iterator of the cells of an IJ window (rectangle of blevel cells), in curve order. See iterCells() and ij_iterKeyRanges().
+   * @yield {object} - {key,ij,id,labels}.
+   */
+  *iterCells_ij(i0, j0, i1, j1, bases=null) {
+     for (const [a,b] of this.ij_iterKeyRanges(i0,j0,i1,j1))
+       yield* this.iterCells(a, b, bases);
+  }
+
+  /**
+   * Check if a cell ID is ancestor of other (contains the other cell), by its prefix. See SizedBigInt.isPrefixOf().
+   * @param {any} id - the cell ID, a string in this.base or a SizedBigInt.
+   * @param {any} ofId - the other cell ID, of any finer level.
+   * @param {boolean} proper - flag to exclude the cell itself.
+   * @return {boolean}
+   */
+  id_isAncestor(id, ofId, proper=true) {
+     const [a,b] = [id,ofId].map( x => this._id_toSBI(x) )
+     return a.isPrefixOf(b,proper)
+  }
+
+  /**
+   * Nearest common ancestor of cell IDs, of any levels. See SizedBigInt.commonPrefix().
+   * @param {array} ids - the cell IDs, strings in this.base or SizedBigInts.
+   * @param {string} otherbase - none (standard) or other base of the returned label.
+   * @return {string} - the label of the ancestor ID, or null when only the primordial cell (level 0) is common.
+   */
+  id_commonAncestor(ids, otherbase=null) {
+     const cp = SizedBigInt.commonPrefix( ids.map(x => this._id_toSBI(x)) )
+     return (cp.bits > (this.id0_maxBits || 0))? this.lbl_toString(cp,otherbase): null
+  }
+
+  /**
+   * Short label of a cell ID, relative to a reference cell (as Plus Codes short codes): drops the digits of
+   * the common prefix (Natural Code) of the ID and the reference, keeping at least one digit.
+   * Only hierarchical bases. Restore the ID by id_fromShort(), with the same reference and level.
+   * @param {any} id - the cell ID, a string in this.base or a SizedBigInt.
+   * @param {any} ref - the reference cell ID, of any level.
+   * @param {string} otherbase - none (standard) or other hierarchical base of the short label.
+   * @return {string} - the short label.
+   */
+  id_toShort(id, ref, otherbase=null) {
+     const r = this._shortBase(otherbase)
+     const [sid,sref] = [id,ref].map( x => this._id_toSBI(x) )
+     const cp = SizedBigInt.commonPrefix(sid,sref).bits
+     const n = Math.min( Math.floor(cp/r.bitsPerDigit), Math.floor((sid.bits-1)/r.bitsPerDigit) ) // dropped digits
+     return this.lbl_toString( sid.slice(n*r.bitsPerDigit), r.label )
+  }
+
+  /**
+   * Full label of a short label. See id_toShort().
+   * @param {string} short - the short label, in otherbase or this.base.
+   * @param {any} ref - the reference cell ID, a string in this.base or a SizedBigInt.
+   * @param {string} otherbase - none (standard) or other hierarchical base, of the short and the returned labels.
+   * @param {float} level - the level of the cell, that fixes the number of dropped digits.
+   * @return {string} - the full label.
+   */
+  id_fromShort(short, ref, otherbase=null, level=this.level) {
+     const r = this._shortBase(otherbase)
+     const s = new SizedBigInt(this.lbl_strip(short,r.label), r.label, null, false)
+     const sref = this._id_toSBI(ref)
+     const prefixBits = (this.id0_maxBits || 0) + this._levelBits(level)[0] - s.bits
+     if (s.val===null || prefixBits<0 || prefixBits%r.bitsPerDigit)
+       throw new Error(`ERR15. Short label "${short}" not fits a cell of level ${level}`);
+     if (prefixBits>sref.bits)
+       throw new Error(`ERR15. Ambiguous short label "${short}", the reference has ${sref.bits} of the ${prefixBits} bits of the prefix`);
+     return this.lbl_toString( sref.slice(0,prefixBits).concat(s), r.label )
+  }
+
+  _shortBase(otherbase) { // hierarchical base of short labels
+     const r = SizedBigInt.baseLabel(otherbase||this.base)
+     if (!r.isHierar) throw new Error(`ERR15. Short labels need a hierarchical base, ${r.label} is not`);
+     return r
+  }
+
+  _id_toSBI(id) { // validated ID as SizedBigInt
+     this.id_parse(id)
+     return (typeof id == 'string')? new SizedBigInt(this.lbl_strip(id), this.base, null, false): SizedBigInt.toSBI(id)
+  }
+
+  /**
+   * Grid neighbours of a cell ID of the current level. See key_neighbours().
+   * @param {any} id - the cell ID, a string in this.base or a SizedBigInt.
+   * @param {boolean} corners - flag to include the corner neighbours, omitted when already edge neighbours.
+   * @param {boolean} clip - flag to omit the directions outside the unit square, instead of null.
+   * @param {string} otherbase - none (standard) or other base of the returned labels.
+   * @return {object} - for each direction an array of one or two labels, or null when outside.
+   */
+  id_neighbours(id, corners=false, clip=false, otherbase=null) {
+     const p = this.id_parse(id)
+     if (p.level!=this.level)
+       throw new Error(`ERR8. ID of level ${p.level} differs from the grid level ${this.level}`);
+     let r = this.key_neighbours(p.key, corners, clip)
+     for (const d in r) if (r[d])
+       r[d] = r[d].map( k => this.lbl_toString(this.id_byKey(k), otherbase) );
+     return r
+  }
+
+  /**
+   * Labels of the hierarchical prefixes of a range of keys. See keyRange_toPrefixes().
+   * @param {integer} start - first key of the range.
+   * @param {integer} end - last key of the range, included.
+   * @param {string} otherbase - none (standard) or other base of the returned labels.
+   * @return {array} - labels of the prefix IDs.
+   */
+  keyRange_toLabels(start, end, otherbase=null) {
+     return this.keyRange_toPrefixes(start,end).map( p => this.lbl_toString(this.id_byKey(p.key,p.level), otherbase) )
+  }
+
+  /**
+   * Ranges of keys of an IJ rectangle, with its label prefixes. See ij_toKeyRanges().
+   * @return {array} - of {range,prefixes}, range as BigInt [startKey,endKey] and prefixes as labels.
+   */
+  ij_toLabelRanges(i0, j0, i1, j1, maxRanges=0, otherbase=null) {
+     return this.ij_toKeyRanges(i0,j0,i1,j1,maxRanges).map( range => ({
+       range:    range,
+       prefixes: this.keyRange_toLabels(range[0], range[1], otherbase)
+     }))
+  }
+
+  /**
+   * Set ID by (i,j) or array IJ. Numbers or BigInt's.
    * @param {int} i - array or Integer X coordinate (scan columns from left to right).
    * @param {int} j - Integer Y coordinate (scan lines from bottom to up).
    */
   setBkey_byIJ(i,j=null) {
     if (typeof i == 'object') [i,j]=i;
-    let max = Number(this.nRefRows)-1
-    if (i>max || j>max) return this; // reliable but hidding bugs
-    let bkey = this.key_encode(i,j)[0];
-    return this.setKey( this.isHalf? bkey/2n: bkey )
+    if (i>=this.nRefRows || j>=this.nRefRows) return this; // reliable but hidding bugs
+    return this.setKey( this.ij_toKey(i,j) )
   }
 
   /**
    * Labelling. Assignment of human-readle and hierarchical label for a cell of the grid.
-  ... CHECK BUG: not returning correct number of bits  (start-padding zeros)
    * Provides a standard base-encoded (String) representation of the (BigInt) cell identifier (ID).
    * The ID is obtained by setID chaining methods.
    * @param {string} otherbase - none (standard) or other base.
    * @return {string} - the human-readable ID.
    */
   id_toString(otherbase=null) {
-     return this.sbiID.toString(otherbase||this.base)
+     return this.lbl_toString(this.sbiID, otherbase)
   }
 
   /**
-   * Returns string representation of a key. STUB method.
+   * Label of an ID, with check character when this.withCheck. See SizedBigInt.checkDigit().
+   * @param {SizedBigInt} sbi - the ID.
+   * @param {string} otherbase - none (standard) or other base.
+   * @return {string} - the label.
+   */
+  lbl_toString(sbi, otherbase=null) {
+     const base = otherbase||this.base
+     const lbl = sbi.toString(base)
+     return (this.withCheck && lbl)? lbl + SizedBigInt.checkDigit(lbl,base): lbl
+  }
+
+  /**
+   * Reverse of lbl_toString(), verifies and removes the check character when this.withCheck.
+   * @param {string} label - the label.
+   * @param {string} otherbase - none (standard) or other base.
+   * @return {string} - the label without check character.
+   */
+  lbl_strip(label, otherbase=null) {
+     return this.withCheck? SizedBigInt.checkDigit_verify(label, otherbase||this.base): label
+  }
+
+  /**
+   * Returns string representation of the key of the current ID, without the ID0 prefix.
    * @param {int} otherbase - null or base label (e.g. "16h").
    */
   key_toString(otherbase=null) {
-     //return this.sbiID.toString(otherbase||this.base)
-     return null; // under construction
+     if (this.sbiID.val===null) return '';
+     let key = this.sbiID.val & ((1n<<BigInt(this.keyBits))-1n)
+     return new SizedBigInt(key,null,this.keyBits).toString(otherbase||this.base)
   }
 
 }
@@ -275,8 +954,9 @@ UNDEr CONSTRUCTiON
 
 
 /**
- * Morton curve for 32 bits inputs and 64 bits return.
+ * Morton curve for BigInt inputs and return, of any number of bits.
  * Concrete implementation on the GSfc4qLbl interface.
+ * The interleave of 32 bits inputs and 64 bits return is applied by chunks.
  *
  * 64 bits REFERENCES:
  *  https://mmcloughlin.com/posts/geohash-assembly
@@ -293,26 +973,81 @@ class GSfc4qLbl_Morton extends GSfc4qLbl {
 
   constructor(level,base,id0,id0_maxBits) {
     super(level,base,id0,id0_maxBits)
-    this.curveName='Morton'
     //default this.needSwap = false
-    //default this.halfIsOptimized = false // can be true!
+    this.halfIsOptimized = true
   }
 
-  bkey_encode(x, y) { // inputs 32 bits positive integers, returns 64 bits.
+  bkey_encode(x, y) { // inputs positive integers, returns BigInt.
     if (typeof x == 'number') {x=BigInt(x); y=BigInt(y)}
-    x = GSfc4qLbl_Morton._bkey_interleave(x)
-    y = GSfc4qLbl_Morton._bkey_interleave(y)
+    x = GSfc4qLbl_Morton.interleave(x)
+    y = GSfc4qLbl_Morton.interleave(y)
     return x | (y << 1n)
   }
 
   bkey_decode(d) {
     if (typeof d !='bigint') d = BigInt(d)
     return [
-      Number(GSfc4qLbl_Morton.deinterleave(d)),
-      Number(GSfc4qLbl_Morton.deinterleave(d >> 1n))
+      GSfc4qLbl_Morton.deinterleave(d),
+      GSfc4qLbl_Morton.deinterleave(d >> 1n)
     ];
   }
 
+  /**
+   * Half level keys are bkeys without the first bit of i, so the key is decoded and
+   * encoded directly, using i with one bit less than j.
+   */
+  halfKey_decode(key) {
+    let i = GSfc4qLbl_Morton.deinterleave(key >> 1n) << 1n
+    let j = GSfc4qLbl_Morton.deinterleave(key)
+    return [ [i,j], [i+1n,j] ]
+  }
+
+  halfKey_encode(i, j) {
+    if (typeof i == 'number') {i=BigInt(i); j=BigInt(j)}
+    return GSfc4qLbl_Morton.interleave(j) | (GSfc4qLbl_Morton.interleave(i >> 1n) << 1n)
+  }
+
+  /**
+   * Number fast path, interleaving by the lookup table kx_spread8, in two 32 bits words.
+   */
+  bkey_encodeNum(i, j) {
+    const S = GSfc4qLbl_Morton._num_spread
+    const lo = ( S(i & 0xffff) | (S(j & 0xffff) << 1) ) >>> 0
+    const hi = S(i >>> 16) | (S(j >>> 16) << 1)
+    return hi*4294967296 + lo
+  }
+
+  bkey_decodeNum(bkey, n, ij) {
+    const C = GSfc4qLbl_Morton._num_compact
+    const lo = bkey >>> 0, hi = Math.floor(bkey/4294967296)
+    ij[0] = C(lo) | (C(hi) << 16)
+    ij[1] = C(lo >>> 1) | (C(hi >>> 1) << 16)
+  }
+
+  /**
+   * Spreads the bits of x, inserting a zero before each bit. Any number of bits, by 32 bits chunks.
+   * @param {BigInt} x - positive integer.
+   * @return {BigInt} - the interleaved bits.
+   */
+  static interleave(x) {
+    let r = 0n
+    for (let shift=0n; x>0n; x >>= 32n, shift += 64n)
+      r |= GSfc4qLbl_Morton._bkey_interleave(x & 0xffffffffn) << shift
+    return r
+  }
+
+  /**
+   * Reverse of interleave(), collecting the even bits of x. Any number of bits, by 64 bits chunks.
+   * @param {BigInt} x - positive integer.
+   * @return {BigInt} - the deinterleaved bits.
+   */
+  static deinterleave(x) {
+    let r = 0n
+    for (let shift=0n; x>0n; x >>= 64n, shift += 32n)
+      r |= GSfc4qLbl_Morton._bkey_deinterleave(x & 0xffffffffffffffffn) << shift
+    return r
+  }
+
   static _bkey_interleave(x) { // x must be a 32 bits positive BigInt
     x = (x | (x << 16n)) & BigInt('0x0000ffff0000ffff')
     x = (x | (x << 8n) ) & BigInt('0x00ff00ff00ff00ff')
@@ -321,7 +1056,7 @@ class GSfc4qLbl_Morton extends GSfc4qLbl {
     return (x | (x << 1n) ) & BigInt('0x5555555555555555')
   }
 
-  static deinterleave(x) {
+  static _bkey_deinterleave(x) { // x must be a 64 bits positive BigInt
     x = x & BigInt('0x5555555555555555');
     x = (x | (x >> 1n) ) & BigInt('0x3333333333333333');
     x = (x | (x >> 2n) ) & BigInt('0x0f0f0f0f0f0f0f0f');
@@ -331,21 +1066,38 @@ class GSfc4qLbl_Morton extends GSfc4qLbl {
     return x;
   }
 
+  static _num_spread(x) { // x must be a 16 bits Number, returns 32 bits (negative when the last is set)
+    const T = GSfc4qLbl_Morton.kx_spread8
+    return T[x & 0xff] | (T[x >>> 8] << 16)
+  }
+
+  static _num_compact(x) { // x must be a 32 bits Number, returns its 16 even bits
+    x = x & 0x55555555
+    x = (x | (x >>> 1)) & 0x33333333
+    x = (x | (x >>> 2)) & 0x0f0f0f0f
+    x = (x | (x >>> 4)) & 0x00ff00ff
+    return (x | (x >>> 8)) & 0x0000ffff
+  }
+
 } // \GSfc4qLbl_Morton
 
+GSfc4qLbl_Morton.maxLevel=128 // no limit of the algorithm, only of BigInt performance
+GSfc4qLbl_Morton.numMaxLevel=26 // keys of 52 bits
+GSfc4qLbl_Morton.kx_spread8 = Uint16Array.from( {length:256}, (_,x) => Number(GSfc4qLbl_Morton._bkey_interleave(BigInt(x))) )
+GSfc4q.register('Morton', GSfc4qLbl_Morton)
+
 
 /**
- * Hilbert Curve concrete implementation on the GSfc4qLbl interface. Valid for any BigInt.
- * Bug on BigInt (more than 31 bits).
+ * Hilbert Curve concrete implementation on the GSfc4qLbl interface. Valid for any BigInt,
+ * inputs and returns are BigInt.
+ * The frames of the cells rotate (needSwap), changing the direction of the half level unions.
  */
 class GSfc4qLbl_Hilbert extends GSfc4qLbl { // Hilbert Curve.
 
   constructor(level,base,id0,id0_maxBits) {
     super(level,base,id0,id0_maxBits)
-    this.curveName='Hilbert'
-    this.needSwap = true // need to implement ij_swapSides(), etc.
+    this.needSwap = true // frames rotate, see ij_nSwaps()
     this.halfIsOptimized = false
-    if (GSfc4q.conf_alertLevel>1) console.log("warning: Hilbert needSwap not implemented.")
   }
 
   bkey_decode(bkey) {
@@ -357,6 +1109,32 @@ class GSfc4qLbl_Hilbert extends GSfc4qLbl { // Hilbert Curve.
     return GSfc4qLbl_Hilbert._bkey_encode(i, j, this.nRefRows)
   }
 
+  bkey_decodeNum(bkey, n, ij) {
+    GSfc4qLbl_Hilbert._num_bkey_decode(bkey, n, ij)
+  }
+
+  bkey_encodeNum(i, j, n) {
+    return GSfc4qLbl_Hilbert._num_bkey_encode(i, j, n)
+  }
+
+  /**
+   * Hilbert unions of half levels are vertical (bkeys 0 and 1 at i=0) in the non-rotated frame,
+   * and horizontal when the frame has an odd number of swaps.
+   */
+  ij_swapSides(i,j,xref,yref) {
+    if (!this.isHalf) return [xref,yref];
+    return (this.ij_nSwaps(i,j)[0] & 1n)? [2*xref,yref]: [xref,2*yref]
+  }
+
+  /**
+   * Counts the _rot() actions of _bkey_encode() while descending to the frame of the cell.
+   * The frame of a half level cell is its parent, at blevel-1.
+   */
+  ij_nSwaps(i,j) {
+    if (typeof i == 'number') {i=BigInt(i); j=BigInt(j);}
+    return GSfc4qLbl_Hilbert._ij_nSwaps(i, j, this.nRefRows, this.isHalf? 2n: 1n)
+  }
+
   // Private methods:
 
   static _rot(n, ij, rx, ry) {
@@ -369,7 +1147,7 @@ class GSfc4qLbl_Hilbert extends GSfc4qLbl { // Hilbert Curve.
     ij.push(ij.shift()); //Swap i and j
     }
   }
-  static _bkey_decode(key, nRefRows) {  // max 64 bits key, to return 32 bits pair.
+  static _bkey_decode(key, nRefRows) {  // input and return BigInt
     if (typeof key !='bigint') key = BigInt(key)
     let rx, ry, t = key,
         ij = [0n, 0n];
@@ -381,7 +1159,7 @@ class GSfc4qLbl_Hilbert extends GSfc4qLbl { // Hilbert Curve.
         ij[1] += (s * ry);
         t /= 4n;
     }
-    return [Number(ij[0]),Number(ij[1])]; // 32 bits integers
+    return ij;
   }
   static _bkey_encode(i, j, nRefRows) { // input and return BigInt
     let rx, ry, key = 0n,
@@ -394,9 +1172,226 @@ class GSfc4qLbl_Hilbert extends GSfc4qLbl { // Hilbert Curve.
     }
     return key;
   }
+  static _ij_nSwaps(i, j, nRefRows, sMin) { // input and return BigInt
+    let rx, ry, nSwaps = 0n, nRefl = 0n,
+        ij = [i, j];
+    for (let s = nRefRows / 2n; s >= sMin; s /= 2n) {
+        rx = (ij[0] & s) > 0n ? 1n: 0n;
+        ry = (ij[1] & s) > 0n ? 1n: 0n;
+        if (ry == 0n) { nSwaps++; if (rx == 1n) nRefl++; }
+        GSfc4qLbl_Hilbert._rot(s, ij, rx, ry);
+    }
+    return [nSwaps,nRefl];
+  }
+
+  // Number versions of _bkey_decode() and _bkey_encode(), with the rotations of _rot(), exact up to 26 bits of i and j:
+
+  static _num_bkey_decode(key, n, ij) { // mutates ij
+    let rx, ry, q, t = key, i = 0, j = 0, tmp;
+    for (let s = 1; s < n; s *= 2) {
+        q = t % 4;
+        rx = q >> 1;
+        ry = (q ^ rx) & 1;
+        if (ry == 0) {
+          if (rx == 1) { i = s - 1 - i; j = s - 1 - j; }
+          tmp = i; i = j; j = tmp;
+        }
+        i += s * rx;
+        j += s * ry;
+        t = (t - q) / 4;
+    }
+    ij[0] = i;
+    ij[1] = j;
+  }
+  static _num_bkey_encode(i, j, n) {
+    let rx, ry, key = 0, tmp;
+    for (let s = n / 2; s >= 1; s /= 2) {
+        rx = (i & s) ? 1: 0;
+        ry = (j & s) ? 1: 0;
+        key += s*s * ((3 * rx) ^ ry);
+        if (ry == 0) {
+          if (rx == 1) { i = s - 1 - i; j = s - 1 - j; }
+          tmp = i; i = j; j = tmp;
+        }
+    }
+    return key;
+  }
 
 } //  \GSfc4qLbl_Hilbert
 
+GSfc4qLbl_Hilbert.maxLevel=128 // no limit of the algorithm, only of BigInt performance
+GSfc4qLbl_Hilbert.numMaxLevel=26 // keys of 52 bits
+GSfc4q.register('Hilbert', GSfc4qLbl_Hilbert)
+
+
+/**
+ * Moore curve, the closed loop of Hilbert curves, concrete implementation on the GSfc4qLbl interface.
+ * The quadrants are visited in the Hilbert order of level 1, each one filled by a Hilbert curve
+ * of blevel-1, rotated to start and end on the vertical median, so first and last cells are neighbours.
+ * Frames rotate as Hilbert ones (needSwap).
+ */
+class GSfc4qLbl_Moore extends GSfc4qLbl_Hilbert {
+
+  bkey_decode(bkey) {
+    if (typeof bkey !='bigint') bkey = BigInt(bkey)
+    const m = this.nRefRows/2n, qBits = BigInt(2*this.blevel-2)
+    const q = Number(bkey >> qBits)
+    let [x,y] = GSfc4qLbl_Hilbert._bkey_decode(bkey & ((1n<<qBits)-1n), m)
+    let [di,dj] = GSfc4qLbl_Moore.quadrants[q]
+    return (q<2)
+      ? [m-1n-y + di*m, x + dj*m]  // rotated clockwise
+      : [y + di*m, m-1n-x + dj*m]; // rotated counterclockwise
+  }
+
+  bkey_encode(i,j) {
+    if (typeof i == 'number') {i=BigInt(i); j=BigInt(j);}
+    let [q,x,y] = this._ij_toQuadrant(i,j)
+    return (BigInt(q) << BigInt(2*this.blevel-2)) | GSfc4qLbl_Hilbert._bkey_encode(x, y, this.nRefRows/2n)
+  }
+
+  /**
+   * Number fast path, same quadrants and rotations of bkey_decode().
+   */
+  bkey_decodeNum(bkey, n, ij) {
+    const m = n/2, q = Math.floor(bkey/(m*m))
+    GSfc4qLbl_Hilbert._num_bkey_decode(bkey - q*m*m, m, ij)
+    const [x,y] = ij, di = (q>1)? m: 0, dj = (q==1 || q==2)? m: 0
+    if (q<2) { ij[0] = m-1-y + di; ij[1] = x + dj }  // rotated clockwise
+    else     { ij[0] = y + di; ij[1] = m-1-x + dj }  // rotated counterclockwise
+  }
+
+  bkey_encodeNum(i, j, n) {
+    const m = n/2
+    const qi = (i>=m)? 1: 0, qj = (j>=m)? 1: 0
+    const q = qi? (qj? 2: 3): (qj? 1: 0)
+    const u = i - qi*m, v = j - qj*m
+    return q*m*m + ( (q<2)
+      ? GSfc4qLbl_Hilbert._num_bkey_encode(v, m-1-u, m)
+      : GSfc4qLbl_Hilbert._num_bkey_encode(m-1-v, u, m) )
+  }
+
+  /**
+   * The frame of the cell is its Hilbert frame, more the rotation of the quadrant.
+   */
+  ij_nSwaps(i,j) {
+    if (this.isHalf && this.blevel==1) return [0n,0n]; // frame of the primordial cell
+    if (typeof i == 'number') {i=BigInt(i); j=BigInt(j);}
+    let [q,x,y] = this._ij_toQuadrant(i,j)
+    let n = GSfc4qLbl_Hilbert._ij_nSwaps(x, y, this.nRefRows/2n, this.isHalf? 2n: 1n)
+    return [n[0]+1n, n[1]]
+  }
+
+  // Private methods:
+
+  _ij_toQuadrant(i,j) { // returns quadrant and (x,y) in the Hilbert frame of the quadrant
+    const m = this.nRefRows/2n
+    const qi = (i>=m)? 1n: 0n, qj = (j>=m)? 1n: 0n
+    const q = qi? (qj? 2: 3): (qj? 1: 0)
+    const u = i - qi*m, v = j - qj*m
+    return (q<2)? [q, v, m-1n-u]: [q, m-1n-v, u]
+  }
+
+} //  \GSfc4qLbl_Moore
+
+GSfc4qLbl_Moore.quadrants = [[0n,0n], [0n,1n], [1n,1n], [1n,0n]] // (i,j) of quadrants, in Hilbert order
+GSfc4qLbl_Moore.maxLevel=128
+GSfc4qLbl_Moore.numMaxLevel=26
+GSfc4q.register('Moore', GSfc4qLbl_Moore)
+
+
+/**
+ * N-order curve, the Morton curve reflected on the main diagonal, concrete implementation on the GSfc4qLbl interface.
+ * Interleaves j at the even bits and i at the odd bits, so the cells of the unions of half levels are vertical.
+ */
+class GSfc4qLbl_NOrder extends GSfc4qLbl_Morton {
+
+  bkey_encode(i, j) {
+    return super.bkey_encode(j, i)
+  }
+
+  bkey_decode(d) {
+    return super.bkey_decode(d).reverse()
+  }
+
+  halfKey_decode(key) {
+    return super.halfKey_decode(key).map( ij => ij.reverse() )
+  }
+
+  halfKey_encode(i, j) {
+    return super.halfKey_encode(j, i)
+  }
+
+  bkey_encodeNum(i, j, n) {
+    return super.bkey_encodeNum(j, i, n)
+  }
+
+  bkey_decodeNum(bkey, n, ij) {
+    super.bkey_decodeNum(bkey, n, ij)
+    ij.reverse()
+  }
+
+} // \GSfc4qLbl_NOrder
+
+GSfc4qLbl_NOrder.maxLevel=128
+GSfc4qLbl_NOrder.numMaxLevel=26
+GSfc4q.register('NOrder', GSfc4qLbl_NOrder)
+
+
+/**
+ * Gray-code curve (Faloutsos 1986), concrete implementation on the GSfc4qLbl interface.
+ * The Morton code of the cell is the Gray code of its key, so consecutive cells differ in one bit of i or j.
+ * The inverse Gray code preserves prefixes, so keys are hierarchical, as Morton keys.
+ */
+class GSfc4qLbl_Gray extends GSfc4qLbl_Morton {
+
+  constructor(level,base,id0,id0_maxBits) {
+    super(level,base,id0,id0_maxBits)
+    this.halfIsOptimized = false // the Gray code changes the bit of i, no direct half level
+  }
+
+  bkey_encode(i, j) {
+    let d = super.bkey_encode(i, j) // Morton code
+    for (let shift=1n; (d>>shift)>0n; shift <<= 1n)
+      d ^= d >> shift;
+    return d
+  }
+
+  bkey_decode(d) {
+    if (typeof d !='bigint') d = BigInt(d)
+    return super.bkey_decode( d ^ (d >> 1n) )
+  }
+
+  /**
+   * Number fast path, the Gray code of the two 32 bits words of the Morton code.
+   * The prefix XOR of the low word is inverted by the parity of the high word.
+   */
+  bkey_encodeNum(i, j, n) {
+    const d = super.bkey_encodeNum(i, j, n)
+    const hi = GSfc4qLbl_Gray._num_prefixXor( Math.floor(d/4294967296) )
+    const lo = GSfc4qLbl_Gray._num_prefixXor(d >>> 0) ^ ((hi & 1)? 0xffffffff: 0)
+    return hi*4294967296 + (lo >>> 0)
+  }
+
+  bkey_decodeNum(d, n, ij) {
+    const hi = Math.floor(d/4294967296), lo = d >>> 0
+    super.bkey_decodeNum( (hi ^ (hi >>> 1))*4294967296 + ((lo ^ (lo >>> 1) ^ (hi << 31)) >>> 0), n, ij )
+  }
+
+  static _num_prefixXor(x) { // x must be a 32 bits Number, each bit XOR the upper ones
+    x ^= x >>> 1
+    x ^= x >>> 2
+    x ^= x >>> 4
+    x ^= x >>> 8
+    x ^= x >>> 16
+    return x >>> 0
+  }
+
+} // \GSfc4qLbl_Gray
+
+GSfc4qLbl_Gray.maxLevel=128
+GSfc4qLbl_Gray.numMaxLevel=26
+GSfc4q.register('Gray', GSfc4qLbl_Gray)
+
 
 ///////////////////
 
@@ -494,19 +1489,99 @@ class SizedBigInt {
     if (typeof strval!='string') throw new Error("ERR2. Invalid input type, must be String");
     let r = SizedBigInt.baseLabel(radix,false)
     if (!strval) return this.fromNull()
+    const err = SizedBigInt.validate(strval, r.label)
+    if (err) throw new Error(err);
     if (r.base==2)
       return this.fromBitString(strval, maxBits, onErr_cutLSD);
-    else if (r.label='16js') // ON TESTING!
+    else if (r.label=='16js') // ON TESTING!
       return this.fromHexString(strval, maxBits, onErr_cutLSD) // to optimize.
     let trLabel = r.label+'-to-2'
     if (!SizedBigInt.kx_tr[trLabel]) SizedBigInt.kx_trConfig(r.label);
     let tr = SizedBigInt.kx_tr[trLabel]
     let strbin = ''
-    for (let i=0; i<strval.length; i++)
-      strbin += tr[ strval.charAt(i) ]
+    for (const c of SizedBigInt.tokens(strval,r))
+      strbin += tr[c]
     return this.fromBitString(strbin, maxBits, onErr_cutLSD)
   }
 
+  /**
+   * Validates a label against the alphabet and the regex of its base.
+   * In hierarchical bases (4h, 8h, 16h, 32h, 64h) the non-hierarchical digit (e.g. G or Q of 4h) is valid only as last digit.
+   * @param {string} strval - the label, as typed by users.
+   * @param {string} radix - the base label, see SizedBigInt.kx_baseLabel.
+   * @return {string} - null when valid, or the error message, with the wrong character and its position (first is 1).
+   */
+  static validate(strval, radix=4) {
+    SizedBigInt.kx_RefreshDefaults()
+    const r = SizedBigInt.baseLabel(radix,false)
+    if (typeof strval!='string') return "ERR2. Invalid input type, must be String";
+    if (!r.symbols) SizedBigInt.kx_trConfig(r.label);
+    const tr = (r.base==2)? null: SizedBigInt.kx_tr[r.label+'-to-2'] // the digits (or tail digits) and its bits
+    for (let i=0; i<strval.length; i++) {
+      let c = strval.charAt(i)
+      if (c===r.tailMark) c = strval.slice(i,i+2);
+      const bits = tr? tr[c]: (r.alphabet.includes(c)? c: undefined)
+      const isLast = (i+c.length==strval.length)
+      if (bits===undefined || (bits.length<r.bitsPerDigit && !isLast))
+        return `ERR13. Invalid character "${c}" at position ${i+1} of "${strval}", `
+          + ((bits===undefined)? `not in the alphabet of base ${r.label}`: `a non-hierarchical digit must be the last one`);
+      i += c.length-1
+    }
+    if (!r.regex.test(strval)) return `ERR13. Invalid label "${strval}" in base ${r.label}`;
+    return null
+  }
+
+  /**
+   * Split of a label into its digits, where the tail digits of bases with tailMark (e.g. ".x" of 64h) are two characters.
+   * @param {string} strval - the label.
+   * @param {object} r - the base, see SizedBigInt.baseLabel().
+   * @return {array} - the digits, as strings.
+   */
+  static tokens(strval, r) {
+    let t = []
+    for (let i=0; i<strval.length; i++)
+      t.push( (strval.charAt(i)===r.tailMark)? strval.slice(i,++i+1): strval.charAt(i) );
+    return t
+  }
+
+  /**
+   * Check character of a label, by the Luhn mod N algorithm, with N the number of digits (symbols) of its base.
+   * Detects all single-character errors and most transpositions of adjacent characters.
+   * The check character is appended to the label, so the prefix property holds for the label without it.
+   * @param {string} strval - the label, without check character.
+   * @param {string} radix - the base label, see SizedBigInt.kx_baseLabel.
+   * @return {string} - the check character (a digit of the base, that can be a non-hierarchical one).
+   */
+  static checkDigit(strval, radix=4) {
+    const err = SizedBigInt.validate(strval, radix)
+    if (err) throw new Error(err);
+    const r = SizedBigInt.baseLabel(radix,false), n = r.symbols.length
+    let factor = 2, sum = 0
+    for (const c of SizedBigInt.tokens(strval,r).reverse()) {
+      const addend = factor * r.symbols.indexOf(c)
+      sum += Math.floor(addend/n) + addend%n
+      factor = (factor==2)? 1: 2
+    }
+    return r.symbols[ (n - sum%n) % n ]
+  }
+
+  /**
+   * Verifies and removes the check character of a label. See checkDigit().
+   * @param {string} strval - the label with its check character as last digit.
+   * @param {string} radix - the base label.
+   * @return {string} - the label without check character.
+   */
+  static checkDigit_verify(strval, radix=4) {
+    const r = SizedBigInt.baseLabel(radix,false)
+    if (typeof strval!='string') throw new Error("ERR2. Invalid input type, must be String");
+    const t = SizedBigInt.tokens(strval,r)
+    if (t.length<2) throw new Error(`ERR14. Label "${strval}" has no check character`);
+    const label = t.slice(0,-1).join(''), chk = t[t.length-1]
+    if (SizedBigInt.checkDigit(label,r.label)!==chk)
+      throw new Error(`ERR14. Invalid check character "${chk}" of "${strval}" in base ${r.label}, mistyped label`);
+    return label
+  }
+
   /**
    * Input from BigInt, SizedBigInt or Number.
    * @param val - input value, any type, BigInt, SizedBigInt or Number.
@@ -517,9 +1592,9 @@ class SizedBigInt {
   fromInt(val, maxBits=0, onErr_cutLSD=true) {
     let t = typeof val
     let isNum = (t=='number')
-    let isSBI = (t=='object')
-    if (t == 'bigint' || isNum) {
-      if (isNum) this.val = BigInt( val>>>0 ); // unsigned  int
+    let isSBI = (val && t=='object')
+    if (t == 'bigint' || isNum || isSBI) {
+      if (isNum) this.val = BigInt( Number.isSafeInteger(val)? Math.abs(val): val>>>0 ); // unsigned  int
       else this.val = isSBI? val.val: val; // supposed positive
       let len = isSBI? val.bits: this.val.toString(2).length  // no optimization as https://stackoverflow.com/q/54758130/287948
       let cutBits = this.setBits_byMax(maxBits, len, onErr_cutLSD)
@@ -603,6 +1678,93 @@ class SizedBigInt {
         : (cycle? 0n: null);
   }
 
+  // // //
+  // Hierarchical operations, on the bit string as Natural Code:
+
+  /**
+   * Check if this code is a prefix of other, that is, an ancestor in the hierarchy. The empty code is prefix of all.
+   * @param {any} sbi - the other code, a SizedBigInt or any input of fromAny().
+   * @param {boolean} proper - flag to exclude the code itself (equal codes).
+   * @return {boolean}
+   */
+  isPrefixOf(sbi, proper=false) {
+     sbi = SizedBigInt.toSBI(sbi)
+     if (this.val===null) return !proper || sbi.val!==null;
+     if (sbi.val===null || this.bits>sbi.bits || (proper && this.bits==sbi.bits)) return false;
+     return (sbi.val >> BigInt(sbi.bits-this.bits)) === this.val
+  }
+
+  /**
+   * Concatenation of the bit strings, this code as prefix of the other.
+   * @param {any} sbi - the suffix, a SizedBigInt or any input of fromAny().
+   * @return {SizedBigInt} - a new SizedBigInt.
+   */
+  concat(sbi) {
+     sbi = SizedBigInt.toSBI(sbi)
+     if (sbi.val===null) return new SizedBigInt(this);
+     if (this.val===null) return new SizedBigInt(sbi);
+     return new SizedBigInt({ val: (this.val << BigInt(sbi.bits)) | sbi.val, maxBits: this.bits+sbi.bits })
+  }
+
+  /**
+   * Bit range, as String.slice() of the bit string, position 0 as the most significant bit.
+   * @param {integer} start - first bit position, negative from the end.
+   * @param {integer} end - optional, position after the last bit, negative from the end.
+   * @return {SizedBigInt} - a new SizedBigInt, empty (null value) when the range is empty.
+   */
+  slice(start=0, end=this.bits) {
+     const norm = p => (p<0)? Math.max(this.bits+p,0): Math.min(p,this.bits)
+     start = norm(start); end = norm(end)
+     if (this.val===null || end<=start) return new SizedBigInt();
+     const val = (this.val >> BigInt(this.bits-end)) & ((1n<<BigInt(end-start))-1n)
+     return new SizedBigInt({val:val, maxBits:end-start})
+  }
+
+  /**
+   * Compares with other code.
+   * The hierarchical order is the depth-first order, of the bit strings: the prefix comes before its extensions.
+   * The numeric order compares values, and the shorter first on equal values (e.g. 01 before 001).
+   * @param {any} sbi - the other code, a SizedBigInt or any input of fromAny().
+   * @param {boolean} numeric - flag to use the numeric order instead the hierarchical.
+   * @return {integer} - -1, 0 or 1, as this is lower, equal or greater than the other. Empty is lower than all.
+   */
+  compare(sbi, numeric=false) {
+     sbi = SizedBigInt.toSBI(sbi)
+     const cmp = (a,b) => (a<b)? -1: (a>b)? 1: 0
+     if (this.val===null || sbi.val===null) return cmp(this.val!==null, sbi.val!==null);
+     if (numeric) return cmp(this.val,sbi.val) || cmp(this.bits,sbi.bits);
+     const n = Math.min(this.bits,sbi.bits)
+     return cmp( this.val >> BigInt(this.bits-n), sbi.val >> BigInt(sbi.bits-n) ) || cmp(this.bits,sbi.bits)
+  }
+
+  /**
+   * Longest common prefix of two or more codes, the nearest common ancestor.
+   * @param {...any} sbis - the codes, SizedBigInts or any input of fromAny().
+   * @return {SizedBigInt} - a new SizedBigInt, empty (null value) when no common prefix.
+   */
+  static commonPrefix(...sbis) {
+     if (sbis.length==1 && sbis[0] instanceof Array) sbis = sbis[0];
+     if (!sbis.length) return new SizedBigInt();
+     let r = new SizedBigInt(sbis[0]) // clone
+     for (const x of sbis.slice(1)) {
+       const b = SizedBigInt.toSBI(x)
+       if (r.val===null || b.val===null) return new SizedBigInt();
+       let n = Math.min(r.bits,b.bits)
+       const xor = (r.val >> BigInt(r.bits-n)) ^ (b.val >> BigInt(b.bits-n))
+       if (xor) n -= xor.toString(2).length // bits after the first difference
+       r = r.slice(0,n)
+     }
+     return r
+  }
+
+  /**
+   * Utility to accept SizedBigInt or any input of fromAny() as parameter.
+   * @return {SizedBigInt} - the same object or a new SizedBigInt.
+   */
+  static toSBI(x) {
+    return (x instanceof SizedBigInt)? x: new SizedBigInt(x)
+  }
+
   /**
    * Swap-object utility.
    * @param {object} obj.
@@ -614,6 +1776,42 @@ class SizedBigInt {
     )
   }
 
+  /**
+   * Registers a new base, with validation of its alphabet and generation of its translation tables.
+   * Hierarchical bases have the 2^n digits followed by the 2^n-2 non-hierarchical digits (of 1 to n-1 bits),
+   * or a *tailMark* and a *tailBase* of n-1 bits to express these digits by two characters (e.g. ".x" in 64h).
+   * @param {string} label - the new base label, e.g. "32xyz".
+   * @param {object} def - {alphabet, isHierar, tailMark, tailBase, case, regex, ref}, only alphabet is required.
+   * @return {string} - the normalized label.
+   */
+  static registerBase(label, def) {
+    SizedBigInt.kx_RefreshDefaults()
+    label = String(label).toLowerCase()
+    if (SizedBigInt.kx_baseLabel[label]) throw new Error(`label "${label}" already exists`);
+    const r = Object.assign({}, def)
+    const a = r.alphabet
+    if (!a || typeof a!='string') throw new Error(`base "${label}" needs an alphabet`);
+    if (new Set(a).size!=a.length) throw new Error(`alphabet of base "${label}" has repeated characters`);
+    if (r.tailMark) {
+      const t = SizedBigInt.kx_baseLabel[r.tailBase]
+      if (!r.isHierar || !t || !t.isHierar || t.isAlias || r.tailMark.length!=1 || a.includes(r.tailMark))
+        throw new Error(`base "${label}" needs a hierarchical tailBase and a tailMark out of its alphabet`);
+      r.base = a.length
+      if (2**(t.bitsPerDigit+1)!=r.base) throw new Error(`tailBase of base "${label}" must have base ${r.base/2}`);
+    } else
+      r.base = r.isHierar? (a.length+2)/2: a.length;
+    if (![2,4,8,16,32,64].includes(r.base))
+      throw new Error(`alphabet of base "${label}" has ${a.length} characters, no base power of 2 (up to 64)`);
+    r.isDefault = false
+    SizedBigInt.kx_baseLabel[label] = r
+    try {
+      SizedBigInt.kx_baseLabel_setRules(label)
+      delete SizedBigInt.kx_tr[label+'-to-2']
+      SizedBigInt.kx_trConfig(label)
+    } catch (e) { delete SizedBigInt.kx_baseLabel[label]; throw e; }
+    return label
+  }
+
   /**
    * Check and normalize the base label. Access the global kx_baseLabel.
    * @param {string} label
@@ -672,6 +1870,19 @@ class SizedBigInt {
          regex:'^([0-9a-f]*)([GHJKMNPQRSTVZY])?$',
          ref:"NatCodes"
        }
+       ,"32h": {
+         base:32,
+         isHierar:true,  // letters w-z and upper case are the non-hierarchical
+         alphabet:"0123456789abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ", // 2*32-2=62 characters
+         ref:"NatCodes"
+       }
+       ,"64h": {
+         base:64,
+         isHierar:true,  // the non-hierarchical digit is the tailMark and a 32h digit, no 126 characters alphabet
+         alphabet:"ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_",
+         tailMark:".", tailBase:"32h",
+         ref:"NatCodes"
+       }
        ,"4js":   { alphabet:"0123", isDefault:true, ref:"ECMA-262" }
        ,"8js":   { alphabet:"01234567", isDefault:true, ref:"ECMA-262" }
        ,"16js":  { alphabet:"0123456789abcdef", isDefault:true, ref:"ECMA-262" } // RFC 4648 sec 8 is upper
@@ -701,10 +1912,15 @@ class SizedBigInt {
       if (!r.bitsPerDigit) r.bitsPerDigit = Math.log2(r.base);
       if (!r.alphabet) throw new Error(`err2, invalid null alphabet`);
       if (!r.isHierar) r.isHierar = false;
-      else if (r.alphabet.length<(r.base*2-2))
-        throw new Error(`err3, invalid hierarchical alphabet in "${baseLabel}": ${r.alphabet}`);
-      let alphaRgx = r.alphabet.replace('-','\\-');
-      if (!r.regex)  r.regex =  '^(['+ alphaRgx +']+)$';
+      else if (r.alphabet.length<(r.base*2-2) && !r.tailMark)
+        throw new Error(`err3, invalid hierarchical alphabet in "${i}": ${r.alphabet}`);
+      const rgxClass = x => '['+ x.replace(/[\\\]\[^-]/g,'\\$&') +']'
+      if (!r.regex) r.regex = !r.isHierar
+        ? '^('+ rgxClass(r.alphabet) +'+)$'
+        : '^('+ rgxClass(r.alphabet.slice(0,r.base)) +'*)('+ (r.tailMark
+            ? rgxClass(r.tailMark) + rgxClass(SizedBigInt.kx_baseLabel[r.tailBase].alphabet)
+            : rgxClass(r.alphabet.slice(r.base))
+          ) +')?$';
       if (!r.case)
         r.case = rAlpha[String(r.alphabet==r.alphabet.toLowerCase()) + (r.alphabet==r.alphabet.toUpperCase())]
       let aux = (r.case===false)? 'i': '';
@@ -725,6 +1941,7 @@ class SizedBigInt {
   static kx_trConfig(baseLabel) {
     const r = SizedBigInt.kx_baseLabel[baseLabel];
     if (!r || r.isAlias) throw new Error(`label "${baseLabel}" not exists or is alias`);
+    r.symbols = r.alphabet.slice(0,r.base).split('') // the digits, completed by the non-hierarchical ones
     if (r.base==2) return;
     if (r.base>64) throw new Error(`Base-${r.base} is invalid`);
     let label = r.label + '-to-2'
@@ -735,12 +1952,20 @@ class SizedBigInt {
         SizedBigInt.kx_tr[label][c] = i.toString(2).padStart(r.bitsPerDigit,'0')
     }
     if (r.isHierar) {
-      var ordList = (r.base==4)? ['0','1']
-            : (r.base==8)? ['0','00','01','1','10','11']
-            : ['0','00','000','001','01','010','011', '1','10','100','101','11','110','111'];
-      for (var i=0; i<ordList.length; i++) {
-        let c = r.alphabet.charAt(r.base+i)
+      // the bit strings of 1 to bitsPerDigit-1 bits, in hierarchical order (e.g. 0,00,01,1,10,11 for base 8)
+      let ordList = []
+      for (let bits=1; bits<r.bitsPerDigit; bits++)
+        for (let i=0; i<2**bits; i++) ordList.push( i.toString(2).padStart(bits,'0') );
+      ordList.sort()
+      let tail = null
+      if (r.tailMark) {
+        if (!SizedBigInt.kx_tr['2-to-'+r.tailBase]) SizedBigInt.kx_trConfig(r.tailBase);
+        tail = SizedBigInt.kx_tr['2-to-'+r.tailBase]
+      }
+      for (let i=0; i<ordList.length; i++) {
+        let c = tail? r.tailMark + tail[ordList[i]]: r.alphabet.charAt(r.base+i)
         SizedBigInt.kx_tr[label][c] = ordList[i]
+        r.symbols.push(c)
       }
       /* old baseH sequence:
         let alphaPos = r.base;
@@ -805,7 +2030,10 @@ class SizedBigInt {
 // // // // // //
 // for Node:
 if (typeof window === 'undefined') { // suppose it is not a browser
-  module.exports = { GSfc4qLbl_Morton, GSfc4qLbl_Hilbert, SizedBigInt, GSfc4q }
+  module.exports = {
+    GSfc4qLbl_Morton, GSfc4qLbl_Hilbert, GSfc4qLbl_Moore, GSfc4qLbl_NOrder, GSfc4qLbl_Gray,
+    SizedBigInt, GSfc4q, GSfc4qLbl
+  }
 } // see also https://gist.github.com/rhysburnie/498bfd98f24b7daf5fd5930c7f3c1b7b
 
 
@@ -0,0 +1,284 @@
+/**
+ * Bulk geocoding module, for Node only: labels of large sets of longitude/latitude points, in parallel by worker_threads.
+ * Source-code:  https://github.com/ppkrauss/Sfc4q
+ * License: Apache2, http://www.apache.org/licenses/LICENSE-2.0
+ */
+
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads')
+const os = require('os')
+const { GSfc4q } = require('./GSfc4q.js')
+const { GridOfCurve_Geo } = require('./curves-grid.js')
+
+/**
+ * Pool of workers encoding points into cell labels, the same of GridOfCurve_Geo.lonlat_encode().
+ * Curves are not shared, each worker builds its own curve and grid by the configuration,
+ * and encodes chunks of points by the batch methods (see GSfc4q.ij_toKeys()).
+ * Labels are reassembled in input order, null for invalid points or points outside the bbox.
+ *
+ * Usage: `const geo = new BulkGeocoder({curve:'Hilbert', level:12, base:'16h'})`,
+ *  then `await geo.encode(lonArr, latArr)` or `for await (const labels of geo.encodeStream(ndjson))`,
+ *  and `await geo.close()`.
+ */
+class BulkGeocoder {
+
+  /**
+   * @constructor
+   * @param {object} conf - optional configuration, see BulkGeocoder.conf_default().
+   */
+  constructor(conf={}) {
+    this.conf = Object.assign(BulkGeocoder.conf_default(), conf)
+    this.grid = BulkGeocoder.grid_build(this.conf) // checks the configuration, and encodes when no workers
+    this.pool  = []  // slots {worker,job}, the workers are started on demand
+    this.queue = []  // jobs {lon,lat,resolve,reject} waiting a worker
+  }
+
+  /**
+   * Default configuration:
+   * curve, level, base and withCheck of the curve (see GSfc4q.create() and GSfc4qLbl.withCheck);
+   * bbox and projection of the grid (see GridOfCurve_Geo);
+   * workers, the maximum number of workers, 0 to encode in the main thread;
+   * chunkSize, the number of points of each job;
+   * modules, absolute paths of modules to require in the workers, e.g. registering third-party curves.
+   * @return {object}
+   */
+  static conf_default() {
+    return {
+      curve: 'Hilbert', level: 10, base: null, withCheck: false,
+      bbox: [-180,-90,180,90], projection: 'equirectangular',
+      workers: os.cpus().length, chunkSize: 16384, modules: []
+    }
+  }
+
+  /**
+   * Labels of arrays of points.
+   * @param {Float64Array} lon - longitudes in degrees, or any array of floats.
+   * @param {Float64Array} lat - latitudes in degrees, same length of lon.
+   * @param {object} opts - optional {onProgress, signal}: onProgress(done,total) called after each chunk,
+   *   and an AbortSignal to cancel, see cancel().
+   * @return {Promise} - of the array of labels, in input order.
+   */
+  async encode(lon, lat, opts={}) {
+    const len = lon.length, size = this.conf.chunkSize
+    if (lat.length<len) throw new Error(`ERR16. Batch arrays must have at least ${len} items`);
+    const part = (a,s,e) => (a instanceof Float64Array)? a.slice(s,e): Float64Array.from(a.slice(s,e))
+    let labels = new Array(len), done = 0
+    await this._withSignal(opts.signal, () => {
+      let runs = []
+      for (let s=0; s<len; s+=size) {
+        const e = Math.min(s+size, len)
+        runs.push( this._dispatch(part(lon,s,e), part(lat,s,e)).then( r => {
+          for (let k=0; k<r.length; k++) labels[s+k] = r[k];
+          done += r.length
+          if (opts.onProgress) opts.onProgress(done, len);
+        }) )
+      }
+      return Promise.all(runs)
+    })
+    return labels
+  }
+
+  /**
+   * Labels of a NDJSON stream of points, one point by line: [lon,lat], {"lon":..,"lat":..},
+   * or a GeoJSON Point (geometry or Feature). Empty lines are skipped, other invalid lines have null label.
+   * Memory use is limited by the chunks in progress, two by worker.
+   * @param {Readable} input - a stream or any async iterable of strings or Buffers.
+   * @param {object} opts - optional {onProgress, signal}, as encode(), with total null.
+   * @yield {array} - the labels of each chunk, in input order.
+   */
+  async *encodeStream(input, opts={}) {
+    const size = this.conf.chunkSize, maxPending = 2*Math.max(1,this.conf.workers)
+    let pending = [], lon = [], lat = [], done = 0
+    const flush = () => {
+      const p = this._dispatch(Float64Array.from(lon), Float64Array.from(lat))
+      p.catch( () => {} ) // rejected by cancel(), thrown when awaited
+      pending.push(p)
+      lon = []; lat = []
+    }
+    const next = async () => {
+      const labels = await pending.shift()
+      done += labels.length
+      if (opts.onProgress) opts.onProgress(done, null);
+      return labels
+    }
+    const onAbort = () => this.cancel()
+    if (opts.signal) {
+      if (opts.signal.aborted) throw BulkGeocoder.cancelError();
+      opts.signal.addEventListener('abort', onAbort, {once:true})
+    }
+    try {
+      for await (const line of BulkGeocoder.ndjson_lines(input)) {
+        if (!BulkGeocoder.ndjson_point(line, lon, lat) || lon.length<size) continue;
+        flush()
+        if (pending.length>=maxPending) yield await next();
+      }
+      if (lon.length) flush();
+      while (pending.length) yield await next();
+    } finally {
+      if (opts.signal) opts.signal.removeEventListener('abort', onAbort);
+    }
+  }
+
+  /**
+   * Cancels all the jobs in progress or waiting, rejecting them. The workers are terminated
+   * and restarted on demand.
+   */
+  cancel() {
+    const err = BulkGeocoder.cancelError()
+    for (const job of this.queue.splice(0)) job.reject(err);
+    for (const slot of this.pool.splice(0)) {
+      if (slot.job) slot.job.reject(err);
+      slot.job = null
+      slot.worker.terminate()
+    }
+  }
+
+  /**
+   * Terminates the workers, after the jobs in progress.
+   * @return {Promise}
+   */
+  async close() {
+    const busy = this.pool.filter(s => s.job).map( s => s.job.promise.catch(() => {}) )
+    await Promise.all(busy)
+    await Promise.all( this.pool.splice(0).map(s => s.worker.terminate()) )
+  }
+
+  // // // // static methods, also used by the workers:  // // //
+
+  /**
+   * The grid of a configuration, see conf_default().
+   * @return {GridOfCurve_Geo}
+   */
+  static grid_build(conf) {
+    const sfc4 = GSfc4q.create(conf.curve, conf.level, conf.base || undefined)
+    sfc4.withCheck = !!conf.withCheck
+    return new GridOfCurve_Geo(sfc4, conf.bbox, conf.projection)
+  }
+
+  /**
+   * Labels of a chunk of points, in the grid. Same labels of grid.lonlat_encode(), null outside the bbox.
+   * @param {GridOfCurve_Geo} grid - the grid of the curve.
+   * @param {Float64Array} lon - longitudes in degrees.
+   * @param {Float64Array} lat - latitudes in degrees.
+   * @return {array} - of labels.
+   */
+  static encodeChunk(grid, lon, lat) {
+    const sfc4 = grid.sfc4, len = lon.length, [west,south,east,north] = grid.bbox
+    let x = new Float64Array(len), y = new Float64Array(len), valid = new Uint8Array(len)
+    for (let k=0; k<len; k++)
+      if (lon[k]>=west && lon[k]<=east && lat[k]>=south && lat[k]<=north) { // false for NaN
+        [x[k],y[k]] = grid.lonlat_to_xy(lon[k],lat[k])
+        valid[k] = 1
+      }
+    const keys = grid.xy_toKeys(x,y,null,true) // inclusive bbox
+    let labels = new Array(len)
+    for (let k=0; k<len; k++)
+      labels[k] = valid[k]? sfc4.lbl_toString(sfc4.id_byKey(keys[k])): null;
+    return labels
+  }
+
+  /**
+   * Parses a NDJSON line of a point, pushing its coordinates (NaN when invalid).
+   * @return {boolean} - false for empty lines.
+   */
+  static ndjson_point(line, lon, lat) {
+    line = line.trim()
+    if (!line) return false;
+    let p = null
+    try { p = JSON.parse(line) } catch (e) {}
+    if (p && p.geometry) p = p.geometry;  // GeoJSON Feature
+    if (p && p.coordinates) p = p.coordinates;  // GeoJSON Point
+    const [x,y] = Array.isArray(p)? p: (p && p.lon!==undefined)? [p.lon,p.lat]: [NaN,NaN]
+    lon.push( (typeof x=='number')? x: NaN )
+    lat.push( (typeof y=='number')? y: NaN )
+    return true
+  }
+
+  static async *ndjson_lines(input) {
+    let buf = ''
+    for await (const data of input) {
+      const lines = (buf + data).split('\n')
+      buf = lines.pop()
+      yield* lines
+    }
+    if (buf) yield buf;
+  }
+
+  static cancelError() {
+    return new Error("bulk geocoding cancelled")
+  }
+
+  /**
+   * Entry of the worker threads, see _worker_start().
+   */
+  static worker_main(conf) {
+    for (const m of conf.modules || []) require(m);
+    const grid = BulkGeocoder.grid_build(conf)
+    parentPort.on('message', msg => {
+      parentPort.postMessage( BulkGeocoder.encodeChunk(grid, msg.lon, msg.lat) )
+    })
+  }
+
+  // Private methods:
+
+  _dispatch(lon, lat) { // promise of the labels of a chunk
+    if (!this.conf.workers) return Promise.resolve( BulkGeocoder.encodeChunk(this.grid, lon, lat) );
+    let job = {lon:lon, lat:lat}
+    job.promise = new Promise( (resolve,reject) => Object.assign(job, {resolve:resolve, reject:reject}) )
+    this.queue.push(job)
+    this._next()
+    return job.promise
+  }
+
+  _next() { // posts the waiting jobs to idle workers
+    while (this.queue.length) {
+      let slot = this.pool.find(s => !s.job)
+      if (!slot && this.pool.length<this.conf.workers) slot = this._worker_start();
+      if (!slot) return;
+      const job = slot.job = this.queue.shift()
+      slot.worker.ref() // keeps the process while busy
+      slot.worker.postMessage({lon:job.lon, lat:job.lat}, [job.lon.buffer, job.lat.buffer])
+    }
+  }
+
+  _worker_start() {
+    const {curve, level, base, withCheck, bbox, projection, modules} = this.conf
+    const worker = new Worker(__filename, {
+      workerData: {bulkGeocoder: {curve, level, base, withCheck, bbox, projection, modules}}
+    })
+    let slot = {worker:worker, job:null}
+    worker.on('message', labels => {
+      const job = slot.job
+      slot.job = null
+      worker.unref()
+      if (job) job.resolve(labels);
+      this._next()
+    })
+    const fail = err => { // worker stopped by error, not by cancel()
+      this.pool = this.pool.filter(s => s!==slot)
+      if (slot.job) slot.job.reject(err);
+      slot.job = null
+      this._next()
+    }
+    worker.on('error', fail)
+    worker.on('exit', code => fail( new Error(`bulk geocoding worker exited with code ${code}`) ))
+    this.pool.push(slot)
+    return slot
+  }
+
+  async _withSignal(signal, run) { // run() cancelled by the AbortSignal
+    if (!signal) return run();
+    if (signal.aborted) throw BulkGeocoder.cancelError();
+    const onAbort = () => this.cancel()
+    signal.addEventListener('abort', onAbort, {once:true})
+    try { return await run() }
+    finally { signal.removeEventListener('abort', onAbort) }
+  }
+
+} // \BulkGeocoder
+
+
+// // // // // //
+if (!isMainThread && workerData && workerData.bulkGeocoder)
+  BulkGeocoder.worker_main(workerData.bulkGeocoder);
+
+module.exports = { BulkGeocoder }
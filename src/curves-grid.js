@@ -4,6 +4,9 @@
  * License: Apache2, http://www.apache.org/licenses/LICENSE-2.0
  */
 
+// Dependencies: in the browser the classes of GSfc4q.js are globals of the page, in Node are required.
+const Sfc4qLib = (typeof window === 'undefined')? require('./GSfc4q.js'): {GSfc4q, SizedBigInt};
+
 
 /**
  * Grid of a [Space-Filling Curve](https://en.wikipedia.org/wiki/Space-filling_curve) (SFC) of recursive
@@ -28,6 +31,7 @@
 class GridOfCurve {
 
   constructor(sfc4, box_width, box_height=null) {
+    this.transform = null // axis-aligned box, see refresh_quadrilateral()
     if (sfc4!==undefined)
       this.refresh(sfc4,box_width,box_height)
     else console.log("ERROR: GridOfCurve(null) is perhaps invalid")
@@ -45,18 +49,20 @@ class GridOfCurve {
     if (this.sfc4!==null && this.box_width) {
       if (novoLevel) this.sfc4.refresh(novoLevel);
       if (!this.box_height) this.box_height =this.box_width;
-      this.needSwap = this.sfc4.needSwap && (this.box_width != this.box_height)
+      this.needSwap = this.sfc4.needSwap // rotated frames, changing the unions of half levels.
       this.cell_refWidth  = this.box_width/Number(this.sfc4.nRefRows)
       this.cell_refHeight = this.box_height/Number(this.sfc4.nRefRows)
       this.cell_area   = this.box_width*this.box_height/Number(this.sfc4.nBKeys) // MUST be constant!
+      this.num_nBKeys  = Number(this.sfc4.nKeys) // cells at level, see dataBuild()
+      this.nBKeysFrac  = Math.round(this.num_nBKeys/150)
       // Cache of calculations (lblChk) of the best choice for labels:
       this.lblBase = lblBase || this.lblBase || 'std'
       const lblIsDec = (this.lblBase=='dec' || this.lblBase==10)
-      const lblIs32  = (this.lblBase==32 && !(this.sfc4.level%2.5))
+      const lblIs32  = (this.lblBase==32 && !(this.sfc4.level%2.5)) || this.lblBase=='32h' // 32h at any level
       const lblIs16  = (this.lblBase==16 || (this.lblBase!=4  && this.sfc4.level>2))
       this.lblChk = [
         lblIsDec,lblIs32,lblIs16,  // using check-order
-        lblIsDec? "decimal": lblIs32? "base 32": lblIs16? "base 16h": "base 4h",
+        lblIsDec? "decimal": lblIs32? "base "+this.lbl32_base(): lblIs16? "base 16h": "base 4h",
         lblIsDec? 10: lblIs32? 32: lblIs16? 16: 4
       ]; //  0-2=flags, 3=name, 4=number
       // properties of the unit grid, used in (s,t) coordinates:
@@ -66,56 +72,754 @@ class GridOfCurve {
     }
   }
 
+  /**
+   * Transforms the unit square into a convex quadrilateral, instead the axis-aligned box.
+   * The box is redefined as the bounding box of the quadrilateral (from the origin).
+   * @param array corners: null (axis-aligned box) or the [x,y] points of the corners (0,0), (1,0), (1,1) and (0,1) of the unit square.
+   * @param string mode: "bilinear" or "projective", see QuadTransform.
+   */
+  refresh_quadrilateral(corners, mode='bilinear') {
+    this.transform = corners? new QuadTransform(corners,mode): null
+    if (corners) this.refresh(
+      null, Math.max(...corners.map(p => p[0])), Math.max(...corners.map(p => p[1]))
+    );
+  }
+
+  /**
+   * Translates unit square coordinates to (x,y) coordinates, by the transform of the grid.
+   * @param float u: the X coordinate in the unit square.
+   * @param float v: the Y coordinate in the unit square.
+   * @return [float,float].
+   */
+  unit_to_xy(u,v) {
+    return this.transform? this.transform.forward(u,v): [u*this.box_width, v*this.box_height]
+  }
+
+  /**
+   * Reverse of unit_to_xy().
+   * @return [float,float] - the (u,v) coordinates, in the unit square when (x,y) is in the canvas.
+   */
+  xy_to_unit(x,y) {
+    return this.transform? this.transform.inverse(x,y): [x/this.box_width, y/this.box_height]
+  }
+
   /**
    * Translates (i,j) coordinates to (x,y) coordinates, using grid properties.
-   * @param integer i: the grid row coordinate.
-   * @param integer j: the grid column coordinate.
+   * The blevel grid is regular, rotations (needSwap) change only the cells of half levels, see ij_to_cell().
+   * @param integer i: the grid row coordinate, Number or BigInt.
+   * @param integer j: the grid column coordinate, Number or BigInt.
    * @return [float,float].
    */
-  ij_to_xy(i,j,shift=0) { // if rotates, must be checked
-    if (shift) [i,j] = [i+shift, j+shift]; // cast to float
-    if (this.needSwap) {
-      let [x,y] = this.sfc4.ij_swapSides(i,j,this.cell_refWidth,this.cell_refHeight)
-      return [i*x, j*y]
-    } else
-      return [i*this.cell_refWidth, j*this.cell_refHeight]
+  ij_to_xy(i,j,shift=0) {
+    [i,j] = [Number(i)+shift, Number(j)+shift]; // cast to float
+    if (this.transform) {
+      const n = Number(this.sfc4.nRefRows)
+      return this.transform.forward(i/n, j/n)
+    }
+    return [i*this.cell_refWidth, j*this.cell_refHeight]
   }
 
   ij_to_xyCenter(i,j) {
     return this.ij_to_xy(i,j,0.5)
   }
 
+  /**
+   * Blevel cells of the cell (at level) that contains the blevel cell (i,j).
+   * When isHalf the cell is the union of two blevel cells, an half of a 2x2 block.
+   * @param integer i: the grid row coordinate.
+   * @param integer j: the grid column coordinate.
+   * @return [i0,j0,ni,nj] - top-left blevel cell and number of blevel cells of each side.
+   */
+  ij_to_cellIJ(i,j) {
+    let [ni,nj] = this.sfc4.ij_swapSides(i,j,1,1);
+    [i,j] = [Number(i), Number(j)]
+    if (this.sfc4.isHalf) {
+      if (ni==2) i -= i%2; // horizontal union
+      else j -= j%2;  // vertical union
+    }
+    return [i,j,ni,nj]
+  }
+
+  /**
+   * Geometry of the cell (at level) that contains the blevel cell (i,j). See ij_to_cellIJ().
+   * With a quadrilateral transform it is the bounding box of the cell polygon.
+   * @param integer i: the grid row coordinate.
+   * @param integer j: the grid column coordinate.
+   * @return [x,y,width,height] - top-left corner and sizes of the cell.
+   */
+  ij_to_cell(i,j) {
+    const [i0,j0,ni,nj] = this.ij_to_cellIJ(i,j)
+    if (this.transform) {
+      const pts = this.ij_to_cellPolygon(i,j), xs = pts.map(p => p[0]), ys = pts.map(p => p[1])
+      const x = Math.min(...xs), y = Math.min(...ys)
+      return [x, y, Math.max(...xs)-x, Math.max(...ys)-y]
+    }
+    return [...this.ij_to_xy(i0,j0), ni*this.cell_refWidth, nj*this.cell_refHeight]
+  }
+
+  /**
+   * Polygon of the cell (at level) that contains the blevel cell (i,j), through the transform of the grid.
+   * @param integer i: the grid row coordinate.
+   * @param integer j: the grid column coordinate.
+   * @return array of the [x,y] corners, clockwise from the top-left corner.
+   */
+  ij_to_cellPolygon(i,j) {
+    const [i0,j0,ni,nj] = this.ij_to_cellIJ(i,j)
+    return [ [i0,j0], [i0+ni,j0], [i0+ni,j0+nj], [i0,j0+nj] ].map( p => this.ij_to_xy(...p) )
+  }
+
   /**
    * Translates (x,y) coordinates to (i,j) coordinates, using grid properties.
+   * Returns the blevel cell, also when isHalf or needSwap (see ij_to_cell() for the union).
+   * Points outside the grid are errors, unless clamped to the nearest border cell.
    * @param float x: the spatial X coordinate.
    * @param float y: the spatial Y coordinate.
+   * @param boolean clamp: flag to clamp points outside the grid, as the screen points of the renderers.
    * @return [integer,integer].
    */
-  xy_to_ij(x,y) {
-    let ref_i = Math.floor(x/this.cell_refWidth),
-        ref_j = Math.floor(y/this.cell_refHeight)
-    if (this.needSwap) { // use bKey instead key.
-      console.log("BUG: needSwap need to develop xy_to_ij()")
-      // for Hilbert the number of xSwaps and ySwaps is a constant.
-    } else
-      return [ref_i,ref_j];
+  xy_to_ij(x,y,clamp=false) {
+    const n = Number(this.sfc4.nRefRows)
+    let [fi,fj] = this.transform
+      ? this.transform.inverse(x,y).map( u => u*n )
+      : [x/this.cell_refWidth, y/this.cell_refHeight];
+    if (clamp) return [
+      Math.min( Math.max(Math.floor(fi),0), n-1 ),
+      Math.min( Math.max(Math.floor(fj),0), n-1 )
+    ];
+    if (!(fi>=0 && fi<n && fj>=0 && fj<n)) // false for NaN
+      throw new Error(`point (${x},${y}) is outside the grid`);
+    return [Math.floor(fi), Math.floor(fj)]
+  }
+
+  /**
+   * Ranges of keys of the curve covering a (x,y) box, clamped to the grid. See sfc4.ij_toKeyRanges().
+   * @param float x0: the spatial X coordinate of a corner.
+   * @param float y0: the spatial Y coordinate of a corner.
+   * @param float x1: the spatial X coordinate of the opposite corner.
+   * @param float y1: the spatial Y coordinate of the opposite corner.
+   * @param integer maxRanges: zero for exact ranges, or the maximum number of ranges.
+   * @return array of BigInt ranges [startKey,endKey].
+   */
+  xy_toKeyRanges(x0,y0,x1,y1,maxRanges=0) {
+    return this.sfc4.ij_toKeyRanges( ...this.xy_to_ij(x0,y0,true), ...this.xy_to_ij(x1,y1,true), maxRanges )
+  }
+
+  /**
+   * Keys of a batch of (x,y) coordinates, each point as xy_to_ij(). See sfc4.ij_toKeys().
+   * @param Float64Array xArr: the spatial X coordinates, or any array of floats.
+   * @param Float64Array yArr: the spatial Y coordinates, same length of xArr.
+   * @param Float64Array out: optional output of the keys, see sfc4.ij_toKeys().
+   * @param boolean clamp: flag to clamp the points outside the grid, see xy_to_ij().
+   * @return Float64Array of the keys, or array of BigInts above the numMaxLevel of the curve.
+   */
+  xy_toKeys(xArr, yArr, out=null, clamp=false) {
+    const len = xArr.length
+    if (yArr.length<len) throw new Error(`ERR16. Batch arrays must have at least ${len} items`);
+    const IJArray = (this.sfc4.blevel>32)? Array: Uint32Array
+    let iArr = new IJArray(len), jArr = new IJArray(len)
+    for (let k=0; k<len; k++) [iArr[k],jArr[k]] = this.xy_to_ij(xArr[k], yArr[k], clamp);
+    return this.sfc4.ij_toKeys(iArr, jArr, out)
+  }
+
+  /**
+   * Mixed level covering of a polygon in box coordinates. See RegionCoverer.
+   * @param array polygon: the ring of [x,y] vertices.
+   * @param object conf: RegionCoverer configurations.
+   * @return array of {key,level,label} cells.
+   */
+  polygon_cover(polygon, conf={}) {
+    const unitPolygon = polygon.map( ([x,y]) => this.xy_to_unit(x,y) )
+    return new RegionCoverer(this.sfc4, conf).cover(unitPolygon)
+  }
+
+  /**
+   * The base 32 of the labels: the hierarchical 32h (any level), or the 32ghs or 32nvu (levels multiple of 2.5) by the layout.
+   * @return string - the base label.
+   */
+  lbl32_base() {
+    if (this.lblBase=='32h') return '32h';
+    return (this.layout && this.layout.labelGeo && !this.layout.labelGeo_nvu)? '32ghs': '32nvu'
+  }
+
+  /**
+   * Color of a cell ID, from its bit string, enhancing prefixes.
+   * @return string - the hexadecimal RGB color.
+   */
+  bitsToColors(bs,len) { // enhancing prefixes
+    if (typeof bs != 'string') return null; // ensure
+    if (bs.length<len) bs = bs.padStart(len,'0')
+    let d;
+    if (len%2) { bs+='0'; len++; } // more one bit if not even
+    if (len<6) {
+      let R = '1'+bs.slice(0,1) + bs.slice(0,2).padEnd(2,'1')
+      let G = '1'+bs.slice(3,4) + bs.slice(3,5).padEnd(2,'1')
+      let B = (len>2? bs.slice(-2): '11')
+      d=[ R, G, '1'+B+B.slice(0,1) ]      // binary RGB color
+    } else if (len==12 || len==24)
+      return '#'+parseInt(bs,2).toString(16).padStart(len/4,'0')
+    else { // incluir fator = 1 ou 2 conforme menor ou maior que 24.
+      let R = bs.slice(0,4)
+      let G = bs.slice(1,2)+bs.slice(3,len<13?5:6).padEnd(3,'1')
+      let B = bs.slice(-4) // (bs.slice(0,1)=='0')? ('1'+bs.slice(-3)): bs.slice(-4)
+      d=[R, G, B ]        // binary RGB color
+    }
+    let dHex = d.map(x => parseInt(x,2).toString(16) ).join('')
+    return '#'+dHex;
+  }
+
+  /**
+   * Cell data of the grid, in curve order, as used by the renderers: key, public label (by lblChk), IJ, geometry and color.
+   * @param integer stopOn: 0 for all cells, true for a third, or the number of cells.
+   * @param boolean useDstClrs: flag to collect distinctColors, the caption of colors, when all cells.
+   * @return array of {id,idPub,id16,i,j,x,y,width,height,color} objects.
+   */
+  dataBuild(stopOn=0,xpos=1,ypos=1,useDstClrs=true) {
+    if (!stopOn) this.distinctColors = {}
+    if (stopOn===true) stopOn = Math.round(this.num_nBKeys/3) // 2*Math.sqrt(this.num_nBKeys)
+    const maxIdLoop = (stopOn && this.num_nBKeys>4)? stopOn: this.num_nBKeys;
+    var r = []
+    for (const d of this.iterData(0n, BigInt(maxIdLoop-1))) {
+      if (!stopOn && useDstClrs && (this.num_nBKeys<150 || (d.id%this.nBKeysFrac)==1) )
+        this.distinctColors[d.color] = d.idPub;
+      r.push(d)
+    }
+    return r;
+  }
+
+  /**
+   * Iterator of the cell data of dataBuild(), with constant memory use.
+   * @param integer start: first key.
+   * @param integer end: last key (included).
+   * @param array window: optional IJ rectangle [i0,j0,i1,j1] of blevel cells, instead of the key range, see iterCells().
+   * @return generator of {id,idPub,id16,i,j,x,y,width,height,color} objects.
+   */
+  *iterData(start=0n, end=this.sfc4.nKeys-1n, window=null) {
+    const ck  = this.lblChk
+    const l32type = this.lbl32_base()
+    const bases = ck[1]? ['4h','16h',l32type]: ['4h','16h'] // base 32 only when fits the level
+    for (const c of this.iterCells({start:start, end:end, window:window, bases:bases})) {
+      const id = Number(c.key)
+      const idPub = ck[0]? id: ck[1]? c.labels[l32type]: ck[2]? c.labels['16h']: c.labels['4h'];
+      yield {
+        id:id, idPub:idPub, id16:c.labels['16h'], i:c.ij[0][0], j:c.ij[0][1],
+        x:c.x, y:c.y, width:c.width, height:c.height,
+        color: this.bitsToColors( c.key.toString(2), this.sfc4.keyBits )
+      }
+    }
+  }
+
+  /**
+   * Iterator of the cells of the grid in curve order, with constant memory use, for a level, a key range or an IJ window.
+   * See GSfc4qLbl.iterCells(). The geometry is the same of dataBuild().
+   * @param object conf: optional {level, start, end, window, bases}, window as the IJ rectangle [i0,j0,i1,j1] of blevel cells.
+   *  The level refreshes the grid.
+   * @return generator of {key,ij,id,labels,x,y,width,height} objects, ij as the IJ pair (both halves at half levels).
+   */
+  *iterCells(conf={}) {
+    if (conf.level && conf.level!=this.sfc4.level) this.refreshProperties(conf.level);
+    const cells = conf.window
+      ? this.sfc4.iterCells_ij(...conf.window, conf.bases)
+      : this.sfc4.iterCells(
+          (conf.start===undefined)? 0n: conf.start,
+          (conf.end===undefined)? this.sfc4.nKeys-1n: conf.end,
+          conf.bases
+        );
+    for (const c of cells) {
+      const [x,y,width,height] = this.ij_to_cell(...c.ij[0])
+      yield Object.assign(c, {x:x, y:y, width:width, height:height})
+    }
+  }
+
+  /**
+   * Tooltip of the current cell of the curve (see sfc4.setBkey_byIJ()), used by the interactive renderers.
+   * @param array ij: the (i,j) of the blevel cell.
+   * @return [id16,html] - the 16h label of the cell and the HTML message.
+   */
+  tooltip_msg(ij) {
+    const lck = this.lblChk
+    if (lck===null) return '';
+    let id = this.sfc4.sbiID.val // number
+    let id4  = this.sfc4.id_toString('4h')
+    let id16 = this.sfc4.id_toString('16h')
+    const l32type = this.lbl32_base()
+    let id32 = lck[1]? this.sfc4.id_toString(l32type): null
+    let idPub     = lck[0]? id: lck[1]? id32: lck[2]? id16: id4;
+    let hex = (!lck[0] && !lck[1] && lck[2])?
+              '':    `base 16h: ${adTag(id16)}`;
+    let dec = lck[0]?  '':  `decimal: ${adTag(id)}${hex? '<br/>':''}`;
+    let b4  = (idPub!=id4)? `<br/>base4h: ${adTag(id4)}`: '';
+    let ijc = this.sfc4.isHalf? "i',j'": "i,j";
+    return [id16, `${lck[3]}: ${adTag(idPub)}<hr/> ${dec}${hex}${b4}<br/>(<i>${ijc}</i>)=(${ij[0]},${ij[1]})`];
+  }
+
+  /**
+   * Position of (x,y) in the exported GeoJSON. The Y axis is reversed, so GIS tools show the grid as the D3 demo.
+   * @return [float,float].
+   */
+  xy_to_position(x,y) {
+    return [x, -y]
+  }
+
+  /**
+   * GeoJSON Feature of a cell, with the same geometry of dataBuild(). Half level cells are the union of two blevel cells.
+   * @param integer key: distance from origin in the curve at level, BigInt or Number.
+   * @param array bases: the bases of the labels, e.g. ['4h','16h','32nvu'].
+   * @param float level: null (the grid level) or a level not finer than the grid level.
+   * @return object - Feature with Polygon geometry and properties {key,level,ij,centroid,labels}, ij as the blevel box [i0,j0,i1,j1].
+   *  Keys are decimal strings, as JSON has no BigInt.
+   */
+  cell_toFeature(key, bases=null, level=null) {
+    key = BigInt(key)
+    if (level===null) level = this.sfc4.level;
+    const [i0,j0,i1,j1] = this.sfc4.key_toIJBox(key,level).map(Number)
+    const ring = [ [i0,j0], [i1+1,j0], [i1+1,j1+1], [i0,j1+1] ].map( p => this.ij_to_xy(...p) )
+    // centroid of the (convex) quadrilateral, by its area:
+    let a = 0, cx = 0, cy = 0
+    ring.forEach( ([x0,y0],n) => {
+      const [x1,y1] = ring[(n+1)%4], c = x0*y1 - x1*y0
+      a += c;  cx += (x0+x1)*c;  cy += (y0+y1)*c
+    })
+    let coordinates = ring.map( p => this.xy_to_position(...p) )
+    const area = coordinates.reduce( (s,[x0,y0],n) => s + x0*coordinates[(n+1)%4][1] - coordinates[(n+1)%4][0]*y0, 0 )
+    if (area<0) coordinates.reverse(); // counterclockwise exterior ring, RFC 7946
+    coordinates.push(coordinates[0]) // closed ring
+    const labels = {}, sbi = this.sfc4.id_byKey(key,level)
+    for (const b of bases || [this.sfc4.base]) {
+      const r = Sfc4qLib.SizedBigInt.baseLabel(b,false) // null when the bits not fit in the non-hierarchical base
+      labels[b] = (r.isHierar || sbi.bits%r.bitsPerDigit==0)? this.sfc4.lbl_toString(sbi,b): null
+    }
+    return {
+      type: 'Feature',
+      geometry: { type: 'Polygon', coordinates: [coordinates] },
+      properties: {
+        key: key.toString(), level: level, ij: [i0,j0,i1,j1],
+        centroid: this.xy_to_position( cx/(3*a), cy/(3*a) ),
+        labels: labels
+      }
+    }
+  }
+
+  /**
+   * GeoJSON FeatureCollection of a set of cells. See cell_toFeature().
+   * @param array cells: keys (at the grid level) or {key,level} objects, as the RegionCoverer cells.
+   * @param array bases: the bases of the labels.
+   * @return object - FeatureCollection.
+   */
+  cells_toFeatureCollection(cells, bases=null) {
+    return {
+      type: 'FeatureCollection',
+      features: cells.map( c => (typeof c=='object')
+        ? this.cell_toFeature(c.key, bases, c.level)
+        : this.cell_toFeature(c, bases)
+      )
+    }
+  }
+
+  /**
+   * GeoJSON FeatureCollection of the cells of a key range, at the grid level.
+   * @param integer start: first key of the range.
+   * @param integer end: last key of the range (inclusive).
+   * @param array bases: the bases of the labels.
+   * @return object - FeatureCollection.
+   */
+  keyRange_toFeatureCollection(start, end, bases=null) {
+    let features = []
+    for (let key=BigInt(start); key<=BigInt(end); key++)
+      features.push( this.cell_toFeature(key, bases) );
+    return {type:'FeatureCollection', features:features}
+  }
+
+  /**
+   * GeoJSON FeatureCollection of all cells of the grid, in curve order.
+   * @param array bases: the bases of the labels.
+   * @return object - FeatureCollection.
+   */
+  grid_toFeatureCollection(bases=null) {
+    return this.keyRange_toFeatureCollection(0n, this.sfc4.nKeys-1n, bases)
   }
 
 } // \GridOfCurve
 
 
+/**
+ * Transform of the unit square into a convex quadrilateral, and its exact inverse.
+ * The *bilinear* mode interpolates the corners, preserving the proportions along the sides.
+ * The *projective* mode is the homography of the square to the quadrilateral (Heckbert 1989), preserving lines.
+ * In both modes the lines of constant u or v are straight, so cells are quadrilaterals.
+ */
+class QuadTransform {
+
+  /**
+   * @constructor
+   * @param {array} corners - the [x,y] points of the corners (0,0), (1,0), (1,1) and (0,1) of the unit square.
+   * @param {string} mode - "bilinear" or "projective".
+   */
+  constructor(corners, mode='bilinear') {
+    if (!corners || corners.length!=4) throw new Error("quadrilateral needs 4 corners");
+    if (mode!='bilinear' && mode!='projective') throw new Error(`transform mode "${mode}" not exists`);
+    const cross = corners.map( (p,k) => { // of the edges meeting at each corner
+      const [q,r] = [corners[(k+1)%4], corners[(k+2)%4]]
+      return (q[0]-p[0])*(r[1]-q[1]) - (q[1]-p[1])*(r[0]-q[0])
+    })
+    if (!cross.every(c => c>0) && !cross.every(c => c<0)) throw new Error("degenerated quadrilateral, not convex");
+    this.corners = corners
+    this.mode = mode
+    const [[x0,y0],[x1,y1],[x2,y2],[x3,y3]] = corners
+    if (mode=='bilinear') { // P = a + b*u + c*v + d*u*v
+      this.a = [x0, y0]
+      this.b = [x1-x0, y1-y0]
+      this.c = [x3-x0, y3-y0]
+      this.d = [x0-x1+x2-x3, y0-y1+y2-y3]
+    } else { // matrix [[a,b,c],[d,e,f],[g,h,1]]
+      const dx1 = x1-x2, dx2 = x3-x2, dx3 = x0-x1+x2-x3,
+            dy1 = y1-y2, dy2 = y3-y2, dy3 = y0-y1+y2-y3
+      let g = 0, h = 0
+      if (dx3 || dy3) {
+        const den = dx1*dy2 - dx2*dy1
+        if (!den) throw new Error("degenerated quadrilateral");
+        g = (dx3*dy2 - dx2*dy3)/den
+        h = (dx1*dy3 - dx3*dy1)/den
+      }
+      this.m = [ x1-x0+g*x1, x3-x0+h*x3, x0,  y1-y0+g*y1, y3-y0+h*y3, y0,  g, h, 1 ]
+      const [a,b,c,d,e,f] = this.m
+      this.inv = [ // adjugate
+        e-f*h, c*h-b, b*f-c*e,
+        f*g-d, a-c*g, c*d-a*f,
+        d*h-e*g, b*g-a*h, a*e-b*d
+      ]
+    }
+  }
+
+  /**
+   * Transforms unit square coordinates.
+   * @return [x,y].
+   */
+  forward(u,v) {
+    if (this.mode=='bilinear') {
+      const [a,b,c,d] = [this.a,this.b,this.c,this.d]
+      return [ a[0]+b[0]*u+c[0]*v+d[0]*u*v, a[1]+b[1]*u+c[1]*v+d[1]*u*v ]
+    }
+    const m = this.m, w = m[6]*u + m[7]*v + 1
+    return [ (m[0]*u + m[1]*v + m[2])/w, (m[3]*u + m[4]*v + m[5])/w ]
+  }
+
+  /**
+   * Reverse of forward().
+   * @return [u,v] - in the unit square when (x,y) is inside the quadrilateral.
+   */
+  inverse(x,y) {
+    if (this.mode=='projective') {
+      const m = this.inv, w = m[6]*x + m[7]*y + m[8]
+      return [ (m[0]*x + m[1]*y + m[2])/w, (m[3]*x + m[4]*y + m[5])/w ]
+    }
+    // bilinear: solves k2*u^2 + k1*u + k0 = 0, from cross products of h = b*u + c*v + d*u*v
+    const cross = (p,q) => p[0]*q[1] - p[1]*q[0]
+    const [a,b,c,d] = [this.a,this.b,this.c,this.d]
+    const h = [x-a[0], y-a[1]]
+    const k2 = cross(b,d), k1 = cross(b,c) - cross(h,d), k0 = -cross(h,c)
+    let us
+    if (Math.abs(k2) < 1e-12*(Math.abs(k1)+1e-300)) us = [-k0/k1];
+    else {
+      const delta = Math.sqrt( Math.max(k1*k1 - 4*k2*k0, 0) )
+      us = [ (-k1+delta)/(2*k2), (-k1-delta)/(2*k2) ]
+    }
+    let best = null
+    for (const u of us) {
+      const e = [c[0]+d[0]*u, c[1]+d[1]*u], r = [h[0]-b[0]*u, h[1]-b[1]*u]
+      const v = (r[0]*e[0] + r[1]*e[1]) / (e[0]*e[0] + e[1]*e[1])
+      const out = Math.max(0,-u,u-1) + Math.max(0,-v,v-1) // distance out of the unit square
+      if (!best || out<best[2]) best = [u,v,out];
+    }
+    return [best[0], best[1]]
+  }
+
+} // \QuadTransform
+
+
+/**
+ * Geographic grid, a GridOfCurve class extension. The box is a longitude/latitude bounding box,
+ * projected by equirectangular (plate carrée) or Web Mercator projection, with north at the top (j=0).
+ * Box coordinates are projected degrees, so the box is not a square for most bounding boxes.
+ */
+class GridOfCurve_Geo extends GridOfCurve {
+
+  /**
+   * @constructor
+   * @param {GSfc4qLbl} sfc4 - the curve.
+   * @param {array} bbox - [west,south,east,north] in degrees.
+   * @param {string} projection - "equirectangular" or "mercator" (Web Mercator).
+   */
+  constructor(sfc4, bbox=[-180,-90,180,90], projection='equirectangular') {
+    super(sfc4, 1) // box redefined by geo_refresh()
+    this.geo_refresh(bbox, projection)
+  }
+
+  geo_refresh(bbox, projection) {
+    this.bbox = bbox || this.bbox
+    this.projection = projection || this.projection
+    const proj = GridOfCurve_Geo.projections[this.projection]
+    if (!proj) throw new Error(`projection "${this.projection}" not exists`);
+    let [west,south,east,north] = this.bbox
+    if (west>=east || south>=north) throw new Error(`invalid bbox [${this.bbox}]`);
+    this.proj = proj
+    this.geo_x0 = proj.x(west)
+    this.geo_y0 = proj.y(north) // top
+    this.refresh(null, proj.x(east)-this.geo_x0, this.geo_y0-proj.y(south))
+  }
+
+  /**
+   * Projects a geographic coordinate into box coordinates.
+   * @param float lon: longitude in degrees.
+   * @param float lat: latitude in degrees.
+   * @return [float,float].
+   */
+  lonlat_to_xy(lon,lat) {
+    const [west,south,east,north] = this.bbox
+    if (lon<west || lon>east || lat<south || lat>north)
+      throw new Error(`coordinate (${lon},${lat}) is outside the bbox [${this.bbox}]`);
+    return [this.proj.x(lon)-this.geo_x0, this.geo_y0-this.proj.y(lat)]
+  }
+
+  /**
+   * Reverse of lonlat_to_xy().
+   * @return [lon,lat] in degrees.
+   */
+  xy_to_lonlat(x,y) {
+    return [this.proj.lon(x+this.geo_x0), this.proj.lat(this.geo_y0-y)]
+  }
+
+  /**
+   * Position in the exported GeoJSON, as [lon,lat]. See GridOfCurve.cell_toFeature().
+   */
+  xy_to_position(x,y) {
+    return this.xy_to_lonlat(x,y)
+  }
+
+  /**
+   * Encodes a geographic coordinate into the cell ID that contains it.
+   * @param float lon: longitude in degrees.
+   * @param float lat: latitude in degrees.
+   * @param float level: null (no mutation) or the level of the cell, refreshing the grid.
+   * @param string otherbase: none (standard) or other base of the label.
+   * @return object {key,label,level,ij}, with key as BigInt.
+   */
+  lonlat_encode(lon, lat, level=null, otherbase=null) {
+    if (level && level!=this.sfc4.level) this.refreshProperties(level);
+    const ij = this.xy_to_ij( ...this.lonlat_to_xy(lon,lat), true ) // east and south borders of the bbox
+    const key = this.sfc4.ij_toKey(...ij)
+    const label = this.sfc4.setID_byKey(key).id_toString(otherbase)
+    return {key:key, label:label, level:this.sfc4.level, ij:ij}
+  }
+
+  /**
+   * Decodes a cell ID into its geographic centre and bounds, refreshing the grid level to the level of the ID.
+   * @param string label: the cell ID.
+   * @param string otherbase: none (standard) or other base of the label.
+   * @return object {key,level,center,bounds}, center as [lon,lat] and bounds as [west,south,east,north].
+   */
+  label_decode(label, otherbase=null) {
+    const sbi = new Sfc4qLib.SizedBigInt(this.sfc4.lbl_strip(label,otherbase), otherbase||this.sfc4.base, null, false)
+    const p = this.sfc4.id_parse(sbi)
+    if (p.level!=this.sfc4.level) this.refreshProperties(p.level);
+    this.sfc4.setId(sbi) // checks ID0
+    const ij = this.sfc4.key_decode(p.key)[0]
+    const [x,y,w,h] = this.ij_to_cell(...ij)
+    const [west,north] = this.xy_to_lonlat(x,y), [east,south] = this.xy_to_lonlat(x+w,y+h)
+    return {
+      key: p.key, level: p.level,
+      center: this.xy_to_lonlat(x+w/2, y+h/2),
+      bounds: [west,south,east,north]
+    }
+  }
+
+} // \GridOfCurve_Geo
+
+GridOfCurve_Geo.projections = { // x and y in degrees, and its inverses
+  equirectangular: { x: lon => lon, y: lat => lat, lon: x => x, lat: y => y },
+  mercator: {
+    x: lon => lon,
+    y: lat => {
+      lat = Math.max( Math.min(lat,85.0511287798), -85.0511287798 )
+      return 180/Math.PI * Math.log( Math.tan(Math.PI/4 + lat*Math.PI/360) )
+    },
+    lon: x => x,
+    lat: y => 360/Math.PI * Math.atan( Math.exp(y*Math.PI/180) ) - 90
+  }
+}
+
+
+/**
+ * Region coverer, as the [S2 RegionCoverer](https://s2geometry.io/devguide/s2cell_hierarchy#s2regioncoverer),
+ * builds a compact set of cells of mixed levels (integer and half levels) that covers a polygon of the unit square.
+ * Coarse cells are subdivided while they intersect the border of the polygon, the level is lower than *maxLevel*
+ * and the number of cells is not greater than *maxCells*. The *interior* covering returns only cells fully inside.
+ * The *minLevel* can force more cells than *maxCells*.
+ */
+class RegionCoverer {
+
+  /**
+   * @constructor
+   * @param {GSfc4qLbl} sfc4 - the curve used as reference for keys and labels, not mutated.
+   * @param {object} conf - optional, {minLevel, maxLevel, maxCells, levelStep, interior}.
+   */
+  constructor(sfc4, conf={}) {
+    this.minLevel  = conf.minLevel  || 0.5
+    this.maxLevel  = conf.maxLevel  || sfc4.level
+    this.maxCells  = conf.maxCells  || 8
+    this.levelStep = conf.levelStep || 0.5  // 0.5 uses half levels, 1 only integer levels
+    this.interior  = !!conf.interior
+    if (this.minLevel>this.maxLevel) throw new Error(`minLevel ${this.minLevel} is greater than maxLevel ${this.maxLevel}`);
+    // the reference curve at maxLevel, for cell geometry:
+    this.sfc4 = new sfc4.constructor(this.maxLevel, sfc4.base, sfc4.id0, sfc4.id0_maxBits)
+  }
+
+  /**
+   * Covering of a polygon.
+   * @param {array} polygon - the ring of [x,y] vertices in unit square coordinates (y top to bottom).
+   * @return {array} - of {key,level,label} cells in curve order, keys as BigInt at its level.
+   */
+  cover(polygon) {
+    const step = this.levelStep
+    let r = []
+    let queue = [ this._cell(0n,0,polygon) ].filter( c => c ) // the primordial cell
+    while (queue.length) {
+      const c = queue.shift()
+      if (c.rel=='inside' && c.level>=this.minLevel) { r.push(c); continue; }
+      const canSplit = c.level+step <= this.maxLevel
+      const children = canSplit? this._children(c,polygon): []
+      if (c.level<this.minLevel) queue.push(...children);
+      else if (canSplit && r.length+queue.length+children.length <= this.maxCells) queue.push(...children);
+      else if (!this.interior) r.push(c);
+    }
+    r = this._mergeSiblings(r)
+    const bits = 2*this.maxLevel
+    r.sort( (a,b) => {
+      const ka = a.key << BigInt(bits-2*a.level), kb = b.key << BigInt(bits-2*b.level)
+      return (ka<kb)? -1: (ka>kb)? 1: 0
+    })
+    return r.map( c => ({
+      key: c.key, level: c.level,
+      label: this.sfc4.id_byKey(c.key,c.level).toString(this.sfc4.base)
+    }))
+  }
+
+  // Private methods:
+
+  _cell(key, level, polygon) { // cell object with its relation to the polygon, or null when outside
+    let rect = [0,0,1,1]
+    if (level) {
+      const n = Number(this.sfc4.nRefRows)
+      const [i0,j0,i1,j1] = this.sfc4.key_toIJBox(key,level).map(Number)
+      rect = [i0/n, j0/n, (i1+1)/n, (j1+1)/n]
+    }
+    const rel = RegionCoverer.rect_relation(rect,polygon)
+    return (rel=='outside')? null: {key:key, level:level, rel:rel}
+  }
+
+  _children(c, polygon) {
+    const bits = BigInt(2*this.levelStep)
+    let r = []
+    for (let k=0n; k<(1n<<bits); k++) {
+      const child = this._cell( (c.key<<bits)+k, c.level+this.levelStep, polygon )
+      if (child) r.push(child);
+    }
+    return r
+  }
+
+  _mergeSiblings(cells) { // replaces complete sets of children by its parent
+    const bits = BigInt(2*this.levelStep)
+    const nSiblings = Number(1n<<bits)
+    let merged = true
+    while (merged) {
+      merged = false
+      let groups = {}
+      for (const c of cells) if (c.level-this.levelStep >= this.minLevel) {
+        const g = `${c.level}:${c.key>>bits}`
+        groups[g] = (groups[g] || 0) + 1
+      }
+      for (const g in groups) if (groups[g]==nSiblings) {
+        const [level,parent] = g.split(':')
+        const l = Number(level), pKey = BigInt(parent)
+        cells = cells.filter( c => c.level!=l || (c.key>>bits)!=pKey )
+        cells.push({key:pKey, level:l-this.levelStep, rel:'inside'})
+        merged = true
+      }
+    }
+    return cells
+  }
+
+  /**
+   * Relation between an axis-aligned rectangle and a polygon.
+   * @param {array} rect - [x0,y0,x1,y1] with x0<x1 and y0<y1.
+   * @param {array} polygon - the ring of [x,y] vertices.
+   * @return {string} - "inside", "outside" or "partial".
+   */
+  static rect_relation(rect, polygon) {
+    const [x0,y0,x1,y1] = rect
+    const corners = [[x0,y0],[x1,y0],[x1,y1],[x0,y1]]
+    const nIn = corners.filter( p => RegionCoverer.point_inPolygon(p,polygon) ).length
+    let crosses = false
+    for (let n=0; n<polygon.length && !crosses; n++)
+      crosses = RegionCoverer.segment_crossesRect(polygon[n], polygon[(n+1)%polygon.length], rect);
+    if (crosses) return 'partial';
+    return (nIn==4)? 'inside': (nIn>0)? 'partial': 'outside'
+  }
+
+  /**
+   * Point in polygon, by ray casting.
+   */
+  static point_inPolygon([x,y], polygon) {
+    let inside = false
+    for (let n=0, m=polygon.length-1; n<polygon.length; m=n++) {
+      const [xn,yn] = polygon[n], [xm,ym] = polygon[m]
+      if ( (yn>y) != (ym>y) && x < (xm-xn)*(y-yn)/(ym-yn) + xn ) inside = !inside;
+    }
+    return inside
+  }
+
+  /**
+   * Checks if a segment passes through the open interior of a rectangle, by Liang-Barsky clipping.
+   */
+  static segment_crossesRect([ax,ay], [bx,by], [x0,y0,x1,y1]) {
+    const dx = bx-ax, dy = by-ay
+    let t0 = 0, t1 = 1
+    for (const [p,q] of [[-dx,ax-x0], [dx,x1-ax], [-dy,ay-y0], [dy,y1-ay]]) {
+      if (p==0) { if (q<0) return false; }
+      else {
+        const t = q/p
+        if (p<0) { if (t>t1) return false; if (t>t0) t0 = t; }
+        else     { if (t<t0) return false; if (t<t1) t1 = t; }
+      }
+    }
+    if (t0>=t1) return false;
+    const tm = (t0+t1)/2, xm = ax+tm*dx, ym = ay+tm*dy // clipped midpoint
+    return xm>x0 && xm<x1 && ym>y0 && ym<y1
+  }
+
+} // \RegionCoverer
+
+
 /**
  * D3 grid, a GridOfCurve class extension.  D3 is the [D3js.org](https://D3js.org) framework, used to build the grid and its tools.
  */
 class GridOfCurve_D3 extends GridOfCurve {
 
-  constructor(conf, sfc4, layout, box_width, box_height=null, grdID=1, reftab='chartsContainer') {
+  /**
+   * @constructor
+   * @param {any} conf - the DOM ID of the chart, or an object with all parameters as properties (and env).
+   * @param {GSfc4qLbl} sfc4 - the curve.
+   * @param {object} layout - flags of the layout, see refresh_D3().
+   * @param {object} env - the injected DOM and configs, see GridOfCurve_D3.env_default().
+   */
+  constructor(conf, sfc4, layout, box_width, box_height=null, grdID=1, reftab='chartsContainer', env=null) {
     const toBuildHere=true, toBuildZoomTool=true, toBuildToolTip=true;  // future configs
     if (typeof conf == 'object') {
       super(conf.sfc4, conf.box_width, conf.box_height)
+      this.env = Object.assign(GridOfCurve_D3.env_default(), conf.env)
       this.refresh_D3(conf.domRef_id, conf.grdID, conf.reftab, conf.layout)
     } else if (conf!==undefined) {
       super(sfc4, box_width, box_height)
+      this.env = Object.assign(GridOfCurve_D3.env_default(), env)
       this.refresh_D3(conf, grdID, reftab, layout)
     }
     this.distinctColors = {}
@@ -130,11 +834,12 @@ class GridOfCurve_D3 extends GridOfCurve {
   refresh_D3(domRef_id, grdID, reftab, layout, colwidth=40) {
     this.domRef_id = domRef_id || null
     this.grdID     = grdID     || null
-    this.reftabDOM = document.getElementById(reftab);
+    this.reftabDOM = this.env.document? this.env.document.getElementById(reftab): null;
     if (!this.reftabDOM) console.log("ops, need CORRECT 'reftab' for canvas sizes")
     if (!this.box_width) {
       let refWidth = this.reftabDOM? parseInt( this.reftabDOM.getBoundingClientRect().width/2.0 ): 999999;
-      this.box_width = Math.min(window.innerWidth, refWidth) - colwidth;  // redefined: need propagate
+      let winWidth = this.env.window? this.env.window.innerWidth: refWidth;
+      this.box_width = Math.min(winWidth, refWidth) - colwidth;  // redefined: need propagate
       this.refreshProperties()  // yet triggered by super()
     }
     this.layout = {rects:true, circles:true, labelMain:true, labelIJ:true, drawCurve: true};
@@ -143,9 +848,6 @@ class GridOfCurve_D3 extends GridOfCurve {
   }
 
   refresh_D3_state(){ // for buildSvg()
-    this.num_nBKeys = Number(this.sfc4.nBKeys)
-    if (this.sfc4.isHalf) this.num_nBKeys = this.num_nBKeys/2;
-    this.nBKeysFrac = Math.round(this.num_nBKeys/150)
     this.fracTime = ((this.num_nBKeys>1000)? 9000: (this.num_nBKeys>200)? 3800: 2800)/this.num_nBKeys;
     // Flag layout corrections:
     let rw = this.cell_refWidth
@@ -162,13 +864,14 @@ class GridOfCurve_D3 extends GridOfCurve {
     if (firstBuild || !this.D3_svg) {
         if (this.D3_svg)
           this.D3_svg.selectAll("*").remove(); // oops, please test
-        if (this.box_width< conf_canvasWidth_min) {
-            let perc = Math.round( 100*(conf_canvasWidth_min-this.box_width)/conf_canvasWidth_min )
+        const minWidth = this.env.canvasWidth_min
+        if (this.box_width< minWidth) {
+            let perc = Math.round( 100*(minWidth-this.box_width)/minWidth )
             let msg = `This visualization not works with small screens.\nPlease use a screen ${perc}% bigger.`
-            if (GSfc4q.conf_alertLevel>1) alert(msg); else console.log(msg);
+            if (Sfc4qLib.GSfc4q.conf_alertLevel>1 && this.env.alert) this.env.alert(msg); else console.log(msg);
         }
         let theChart = '#'+ this.domRef_id +' svg.theChart';
-        this.D3_svg0 = d3.select(theChart).attr("width", this.box_width+10).attr("height", this.box_width+10)
+        this.D3_svg0 = this.env.d3.select(theChart).attr("width", this.box_width+10).attr("height", this.box_width+10)
         this.D3canvas = this.D3_svg0
         this.D3_svg = this.D3_svg0.append("g"); // set reference D3 for all builds
         this.D3_svg.attr("class", "the_grid" + (this.grdID? ` grdID${this.grdID}`: '') );
@@ -177,76 +880,21 @@ class GridOfCurve_D3 extends GridOfCurve {
     this.refresh_D3_state()
   } // \buildSvg
 
-  bitsToColors(bs,len) { // enhancing prefixes
-    if (typeof bs != 'string') return null; // ensure
-    if (bs.length<len) bs = bs.padStart(len,'0')
-    let d;
-    if (len%2) { bs+='0'; len++; } // more one bit if not even
-    if (len<6) {
-      let R = '1'+bs.slice(0,1) + bs.slice(0,2).padEnd(2,'1')
-      let G = '1'+bs.slice(3,4) + bs.slice(3,5).padEnd(2,'1')
-      let B = (len>2? bs.slice(-2): '11')
-      d=[ R, G, '1'+B+B.slice(0,1) ]      // binary RGB color
-    } else if (len==12 || len==24)
-      return '#'+parseInt(bs,2).toString(16).padStart(len/4,'0')
-    else { // incluir fator = 1 ou 2 conforme menor ou maior que 24.
-      let R = bs.slice(0,4)
-      let G = bs.slice(1,2)+bs.slice(3,len<13?5:6).padEnd(3,'1')
-      let B = bs.slice(-4) // (bs.slice(0,1)=='0')? ('1'+bs.slice(-3)): bs.slice(-4)
-      d=[R, G, B ]        // binary RGB color
-    }
-    let dHex = d.map(x => parseInt(x,2).toString(16) ).join('')
-    return '#'+dHex;
-  }
-
-  dataBuild(stopOn=0,xpos=1,ypos=1,useDstClrs=true) {
-    if (!stopOn) this.distinctColors = {}
-    if (stopOn===true) stopOn = Math.round(this.num_nBKeys/3) // 2*Math.sqrt(this.num_nBKeys)
-    const maxIdLoop = (stopOn && this.num_nBKeys>4)? stopOn: this.num_nBKeys;
-    const ck  = this.lblChk
-    const rw0 = this.cell_refWidth
-    const rh0 = this.cell_refHeight
-    const l32type = (this.layout.labelGeo_nvu || !this.layout.labelGeo)? '32nvu': '32ghs';
-    const mySfc = this.sfc4
-    var r = [].fill(null,0,this.num_nBKeys-1)  // será revisto e oTheFly!
-    for(let id=0; id<maxIdLoop; id++) {
-      let [ij0,ij1] = this.sfc4.key_decode(id)
-      let xy = this.ij_to_xy( ij0[0], ij0[1] )  //xy0
-      let rw = rw0, rh = rh0;
-      let idx = mySfc.setKey(id);
-      let colorCode = this.bitsToColors( idx.id_toString('2'), idx.keyBits ) // toBitString
-      let id4 = idx.id_toString('4h'),     id16   = idx.id_toString('16h'),
-          id32 = idx.id_toString(l32type)
-      if (this.sfc4.isHalf) {
-         let xy1 = this.ij_to_xy( ij1[0], ij1[1] )
-         if (Math.abs(xy[0]-xy1[0]) > 0) rw = rw*2;  // revisar
-         if (Math.abs(xy[1]-xy1[1]) > 0) rh = rh*2;
-         xy[0] = Math.min(xy[0],xy1[0]);
-         xy[1] = Math.min(xy[1],xy1[1]);
-      }
-      let idPub = ck[0]? id: ck[1]? id32: ck[2]? id16: id4;
-      if (!stopOn && useDstClrs && (this.num_nBKeys<150 || (id%this.nBKeysFrac)==1) )
-        this.distinctColors[colorCode] = idPub;
-      r[id] = { id:id, idPub:idPub, id16:id16, i:ij0[0], j:ij0[1], x:xy[0], y:xy[1], width:rw, height:rh, color:colorCode };
-    }
-    return r;
-  }
-
   animeFracTime(i) {
     return i*this.fracTime + (i?4:0)*this.fracTime/Math.log2(2+i)
   }
 
   build(firstBuild=true, line_width=2) { //  draw grid!
-    if (GSfc4q.conf_alertLevel>1) console.log("debug build:",this.sfc4.curveName);
+    if (Sfc4qLib.GSfc4q.conf_alertLevel>1) console.log("debug build:",this.sfc4.curveName);
     this.buildSvg(firstBuild)
     const myThis = this
     let rw = this.cell_refWidth
     const ck4 = this.lblChk[4]
     var mySfc = this.sfc4
-    let bits = (mySfc.nBKeys-1n).toString(2).length
-    var sbi = new SizedBigInt();
+    const d3 = this.env.d3
+    const data = this.dataBuild()
     let D3DataEnter = this.D3_svg.selectAll()
-      .data( this.dataBuild() )
+      .data(data)
       .enter();
 
     if (this.layout.rects) // // // Red rectangular grid:
@@ -263,7 +911,7 @@ class GridOfCurve_D3 extends GridOfCurve {
           .y( d=>d.y + d.height/2);
       this.D3_svg.append("path")
         .attr('class',"curve")
-        .attr("d", curvePath( myThis.dataBuild() ))  // ? no data cache
+        .attr("d", curvePath(data))
         .transition()
           .duration(0)
           .delay(  dashDelay  )
@@ -283,7 +931,6 @@ class GridOfCurve_D3 extends GridOfCurve {
         .style("opacity", 1)
     ;
     if (this.layout.labelMain) { // cell ID label text
-      let partialData = this.dataBuild(true);
       if (this.sfc4.nBKeys>4n) D3DataEnter.append("text")  // White text
           .attr("x", d => d.x+d.width/2.15 -0.5 )
           .attr("y", d => d.y+d.height/1.7 +0.9)
@@ -317,7 +964,7 @@ class GridOfCurve_D3 extends GridOfCurve {
     var myC_lenFrac = Math.round(myC_len/12)
     var h = this.box_width/(myC_len+1)
     colors.sort()
-    let rb = d3.select(svgSelect)
+    let rb = this.env.d3.select(svgSelect)
     rb.selectAll("*").remove();
     rb.attr("width", wdExtra)
       .attr("height", this.box_width+20)
@@ -336,30 +983,13 @@ class GridOfCurve_D3 extends GridOfCurve {
     ;
   }
 
-  tooltip_msg(ij) {
-    const lck = this.lblChk
-    if (lck===null) return '';
-    let id = this.sfc4.sbiID.val // number
-    let id4  = this.sfc4.id_toString('4h')
-    let id16 = this.sfc4.id_toString('16h')
-    const l32type = (this.layout.labelGeo_nvu || !this.layout.labelGeo)? '32nvu': '32ghs';
-    let id32 = this.sfc4.id_toString(l32type)
-    let idPub     = lck[0]? id: lck[1]? id32: lck[2]? id16: id4;
-    let hex = (!lck[0] && !lck[1] && lck[2])?
-              '':    `base 16h: ${adTag(id16)}`;
-    let dec = lck[0]?  '':  `decimal: ${adTag(id)}${hex? '<br/>':''}`;
-    let b4  = (idPub!=id4)? `<br/>base4h: ${adTag(id4)}`: '';
-    let ijc = this.sfc4.isHalf? "i',j'": "i,j";
-    return [id16, `${lck[3]}: ${adTag(idPub)}<hr/> ${dec}${hex}${b4}<br/>(<i>${ijc}</i>)=(${ij[0]},${ij[1]})`];
-  }
-
   tooltip_build() {
+    const d3 = this.env.d3
   	const domRef = d3.select('#'+ this.domRef_id);
   	const tpNode = domRef.select('div.theChartTooltip');
   	const mySVG   = this.D3_svg;
   	const myThis  = this;
     const drawRect = (this.layout.rects && this.cell_refWidth > this.MIN_RECT_SIZE)
-    const mySfc = this.sfc4  //const
     var lastCellPos = [null,null];
   	this.D3canvas  // BUG on catchall!
     	.on('mouseover', function() {
@@ -374,9 +1004,9 @@ class GridOfCurve_D3 extends GridOfCurve {
     .on('mousemove', function () {
       // falta pintar um retangulo
       var coords = d3.mouse(mySVG.node());
-      var grd_IJ = myThis.xy_to_ij(coords[0], coords[1]);
+      var grd_IJ = myThis.xy_to_ij(coords[0], coords[1], true);
       if (lastCellPos[0]!=grd_IJ[0] || lastCellPos[1]!=grd_IJ[1]) { // only to reduce CPU costs
-        mySfc.setBkey_byIJ(grd_IJ)
+        myThis.sfc4.setBkey_byIJ(grd_IJ) // the curve can be changed after build
         let msg = myThis.tooltip_msg(grd_IJ)
         tpNode.html(msg[1])
         if (drawRect) {
@@ -403,11 +1033,12 @@ class GridOfCurve_D3 extends GridOfCurve {
     // Canvas zoom/pan
     let bxw = this.box_width+10;
     let canvas = this.D3canvas
+    const d3 = this.env.d3, zoomNode = this.env.zoomNode
     this.D3_svg0.call(d3.zoom()
         .translateExtent([ [0,0], [bxw,bxw] ])
         .scaleExtent([1, Infinity])
         .on("zoom", function() {
-          if (xzoomNode.value==1)
+          if (!zoomNode || zoomNode.value==1)
             canvas.attr("transform", d3.event.transform);
         })
     );
@@ -416,7 +1047,417 @@ class GridOfCurve_D3 extends GridOfCurve {
 
 } // \GridOfCurve_D3
 
+/**
+ * Default environment of GridOfCurve_D3, from the browser globals (null when headless).
+ * The *zoomNode* is the DOM node (e.g. a select) that enables the zoom/pan when its value is 1, or null to always enable.
+ * @return object {document,window,d3,alert,canvasWidth_min,zoomNode}.
+ */
+GridOfCurve_D3.env_default = () => ({
+  document: (typeof document !== 'undefined')? document: null,
+  window:   (typeof window !== 'undefined')? window: null,
+  d3:       (typeof d3 !== 'undefined')? d3: null,
+  alert:    (typeof alert !== 'undefined')? alert: null,
+  canvasWidth_min: 320,
+  zoomNode: null
+})
+
+
+/**
+ * Static SVG renderer of the grid, for server-side figures: the drawing of GridOfCurve_D3.build() as a standalone
+ * SVG document (string), without D3 or a browser. The output is deterministic, numbers rounded to 3 decimals.
+ */
+class GridOfCurve_SVG extends GridOfCurve {
+
+  /**
+   * @constructor
+   * @param {GSfc4qLbl} sfc4 - the curve.
+   * @param {float} box_width - the width of the drawing, in pixels.
+   * @param {object} layout - flags {rects,circles,labelMain,labelIJ,drawCurve,caption}, all true by default.
+   */
+  constructor(sfc4, box_width, box_height=null, layout=null) {
+    super(sfc4, box_width, box_height)
+    this.MIN_RECT_SIZE = 15
+    this.layout = Object.assign(
+      {rects:true, circles:true, labelMain:true, labelIJ:true, drawCurve:true, caption:true}, layout
+    )
+  }
+
+  /**
+   * The layout flags corrected by the cell size, as GridOfCurve_D3.refresh_D3_state().
+   */
+  layout_used() {
+    const rw = this.cell_refWidth, lay = Object.assign({}, this.layout)
+    lay.rects     = lay.rects     && rw>this.MIN_RECT_SIZE
+    lay.drawCurve = lay.drawCurve && rw>10
+    lay.labelMain = lay.labelMain && rw>20
+    lay.labelIJ   = lay.labelIJ   && rw>35
+    return lay
+  }
+
+  /**
+   * Builds the SVG document.
+   * @return string - the standalone SVG.
+   */
+  build() {
+    const num = GridOfCurve_SVG.num, esc = GridOfCurve_SVG.escape
+    const lay = this.layout_used()
+    const data = this.dataBuild()
+    const rw = this.cell_refWidth, ck4 = this.lblChk[4]
+    const center = d => `${num(d.x + d.width/2)},${num(d.y + d.height/2)}`
+    let g = []
+    if (lay.rects) for (const d of data)
+      g.push(`<rect class="x${esc(d.id16)}" x="${num(d.x)}" y="${num(d.y)}" width="${num(d.width)}" height="${num(d.height)}" style="fill:#FFF;stroke:#F00"/>`);
+    if (lay.drawCurve)
+      g.push(`<path class="curve" d="M${data.map(center).join('L')}"/>`);
+    if (lay.circles) {
+      const stroke = (this.sfc4.level<4)? ';stroke:#F00': ''
+      for (const d of data)
+        g.push(`<circle cx="${num(d.x + d.width/2)}" cy="${num(d.y + d.height/2)}" r="${num(rw/3)}" style="fill:${d.color}${stroke}"/>`);
+    }
+    if (lay.labelMain) for (const d of data) {
+      if (this.sfc4.nBKeys>4n) // white text
+        g.push(`<text x="${num(d.x+d.width/2.15 -0.5)}" y="${num(d.y+d.height/1.7 +0.9)}" fill="#FFF" style="font-size:${(rw<40)? (ck4==4? "8.8pt": "11.6pt"):"11.8pt"};font-weight:bold">${esc(d.idPub)}</text>`);
+      g.push(`<text x="${num(d.x+d.width/2.1)}" y="${num(d.y+d.height/1.7 +1.3)}" style="font-size:${(rw<40)? (ck4==4? "8.2pt": "10.5pt"):"12.2pt"}">${esc(d.idPub)}</text>`)
+    }
+    if (lay.labelIJ) for (const d of data)
+      g.push(`<text x="${num(d.x+0.8 + (this.sfc4.isHalf? 0.8: 0))}" y="${num(d.y+10)}" fill="#A44" style="font-size:8pt">${d.i},${d.j}</text>`);
+
+    const width = this.box_width+10 + (lay.caption? 50: 0), height = this.box_height+20
+    return [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${num(width)}" height="${num(height)}" viewBox="0 0 ${num(width)} ${num(height)}">`,
+      '<style>path.curve {stroke:#666; fill:none; stroke-width:4; stroke-linecap:square; opacity:0.6;} rect {opacity:0.8;} text.gridCaption {font-size:11pt; fill:#000; font-family:monospace;}</style>',
+      `<g class="the_grid">`, ...g, '</g>',
+      ...(lay.caption? [`<g class="caption" transform="translate(${num(this.box_width+20)},0)">`, ...this.buildCaption(), '</g>']: []),
+      '</svg>', ''
+    ].join('\n')
+  }
+
+  /**
+   * The rainbow caption of GridOfCurve_D3.buildCaption(), from the distinctColors of the last dataBuild().
+   * @return array - the SVG elements, as strings.
+   */
+  buildCaption() {
+    const num = GridOfCurve_SVG.num, esc = GridOfCurve_SVG.escape
+    const myC = this.distinctColors, wd = 10, yShift = 15
+    const colors = Object.keys(myC).sort()
+    const myC_len = colors.length, myC_lenFrac = Math.round(myC_len/12)
+    const h = this.box_width/(myC_len+1)
+    let r = colors.map( (d,i) =>
+      `<rect x="0" y="${num(i*h + yShift)}" width="${wd}" height="${num(h)}" style="fill:${d}"/>`
+    )
+    colors.forEach( (d,i) => {
+      if (myC_len<9 || (i%myC_lenFrac)==0)
+        r.push(`<text class="gridCaption" x="${wd}" y="${num(h+i*h+yShift)}">${esc(myC[d])}</text>`);
+    })
+    return r
+  }
+
+} // \GridOfCurve_SVG
+
+GridOfCurve_SVG.num = v => String( Math.round(Number(v)*1000)/1000 ) // deterministic and short numbers
+GridOfCurve_SVG.escape = s => String(s).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;')
+
+
+/**
+ * Canvas 2D renderer of the grid, for the high levels: the drawing of GridOfCurve_D3 (layout flags, colors, tooltip
+ * and zoom/pan) restricted to the visible cells, and redrawn at each zoom with the layout flags of the zoomed cells.
+ * Cells smaller than MIN_CELL_SIZE pixels are drawn as a raster of their colors.
+ * The 2D context is injected by *env.context* (e.g. a mock in Node), or is of the canvas.theChart of domRef_id.
+ */
+class GridOfCurve_Canvas extends GridOfCurve {
+
+  /**
+   * @constructor
+   * @param {object} conf - {sfc4, box_width, box_height, layout, domRef_id, reftab, env}, as the object of GridOfCurve_D3.
+   *  Layout flags {rects,circles,labelMain,labelIJ,drawCurve}, all true by default. See GridOfCurve_Canvas.env_default().
+   */
+  constructor(conf) {
+    super(conf.sfc4, conf.box_width, conf.box_height)
+    this.env = Object.assign(GridOfCurve_Canvas.env_default(), conf.env)
+    this.domRef_id = conf.domRef_id || null
+    this.layout = Object.assign({rects:true, circles:true, labelMain:true, labelIJ:true, drawCurve:true}, conf.layout)
+    if (!this.box_width) { // half of the reference table, as GridOfCurve_D3.refresh_D3()
+      const doc = this.env.document, reftabDOM = doc? doc.getElementById(conf.reftab || 'chartsContainer'): null
+      const refWidth = reftabDOM? parseInt( reftabDOM.getBoundingClientRect().width/2.0 ): 999999
+      const winWidth = this.env.window? this.env.window.innerWidth: refWidth
+      this.refresh(null, Math.min(winWidth, refWidth) - 40)
+    }
+    this.MIN_RECT_SIZE = 15
+    this.MIN_CELL_SIZE = 4 // smaller cells are drawn as raster
+    this.distinctColors = {}
+    this.hoverId16 = null  // cell highlighted by the tooltip
+    this.zoom = {k:1, x:0, y:0} // scale and translation, as the d3.zoom transform
+    this.ctx = this.env.context || this.canvas_context()
+    this.build(true)
+    this.tooltip_build()
+    this.build_zoomTool()
+  }
+
+  canvas_context() {
+    const doc = this.env.document
+    const canvas = doc? doc.querySelector(`#${this.domRef_id} canvas.theChart`): null
+    if (!canvas) throw new Error(`canvas.theChart of "${this.domRef_id}" not exists, inject env.context`);
+    return canvas.getContext('2d')
+  }
+
+  /**
+   * The layout flags corrected by the size of the zoomed cells, as GridOfCurve_D3.refresh_D3_state().
+   */
+  layout_used() {
+    const rw = this.cell_refWidth*this.zoom.k, lay = Object.assign({}, this.layout)
+    lay.rects     = lay.rects     && rw>this.MIN_RECT_SIZE
+    lay.drawCurve = lay.drawCurve && rw>10
+    lay.labelMain = lay.labelMain && rw>20
+    lay.labelIJ   = lay.labelIJ   && rw>35
+    return lay
+  }
+
+  /**
+   * Draws the grid, and refreshes the distinctColors of the caption.
+   * @param boolean firstBuild: flag to resize the canvas and reset the zoom.
+   */
+  build(firstBuild=true) {
+    const ctx = this.ctx, canvas = ctx.canvas
+    if (firstBuild) {
+      const minWidth = this.env.canvasWidth_min
+      if (this.box_width<minWidth) { // as GridOfCurve_D3.buildSvg()
+        let perc = Math.round( 100*(minWidth-this.box_width)/minWidth )
+        let msg = `This visualization not works with small screens.\nPlease use a screen ${perc}% bigger.`
+        if (Sfc4qLib.GSfc4q.conf_alertLevel>1 && this.env.alert) this.env.alert(msg); else console.log(msg);
+      }
+      this.zoom = {k:1, x:0, y:0}
+      if (canvas) { canvas.width = this.box_width+10; canvas.height = this.box_height+10 }
+    }
+    ctx.setTransform(1,0,0,1,0,0)
+    ctx.clearRect(0, 0, this.box_width+10, this.box_height+10)
+    const lay = this.layout_used()
+    if (this.cell_refWidth*this.zoom.k >= this.MIN_CELL_SIZE) this.drawCells(lay);
+    else if (lay.circles) this.drawRaster();
+    this.colors_build()
+  }
+
+  /**
+   * Draws the visible cells in screen coordinates, so circles and texts are of the size of the zoomed cells.
+   * The curve is broken where it leaves the visible window. With a quadrilateral transform all cells are drawn.
+   */
+  drawCells(lay) {
+    const ctx = this.ctx, {k, x:tx, y:ty} = this.zoom
+    const rw = this.cell_refWidth*k, ck4 = this.lblChk[4]
+    let win = null
+    if (!this.transform) {
+      const [x0,y0] = this.screen_to_xy(0,0), [x1,y1] = this.screen_to_xy(this.box_width, this.box_height)
+      win = [...this.xy_to_ij(x0,y0,true), ...this.xy_to_ij(x1,y1,true)]
+    }
+    let data = []
+    for (const d of this.iterData(0n, this.sfc4.nKeys-1n, win))
+      data.push( Object.assign(d, {x: d.x*k+tx, y: d.y*k+ty, width: d.width*k, height: d.height*k}) );
+
+    if (lay.rects) { // red rectangular grid
+      ctx.globalAlpha = 0.8
+      ctx.strokeStyle = '#F00'
+      for (const d of data) {
+        ctx.fillStyle = (d.id16===this.hoverId16)? '#F33': '#FFF'
+        ctx.fillRect(d.x, d.y, d.width, d.height)
+        ctx.strokeRect(d.x, d.y, d.width, d.height)
+      }
+    }
+    if (lay.drawCurve) { // curve path
+      ctx.globalAlpha = 0.6
+      Object.assign(ctx, {strokeStyle:'#666', lineWidth:4, lineCap:'square'})
+      ctx.beginPath()
+      data.forEach( (d,n) => {
+        const cx = d.x + d.width/2, cy = d.y + d.height/2
+        if (n && d.id==data[n-1].id+1) ctx.lineTo(cx,cy); else ctx.moveTo(cx,cy);
+      })
+      ctx.stroke()
+    }
+    Object.assign(ctx, {globalAlpha:1, lineWidth:1, strokeStyle:'#F00'})
+    if (lay.circles) for (const d of data) { // coloured centroid circles
+      ctx.beginPath()
+      ctx.arc(d.x + d.width/2, d.y + d.height/2, rw/3, 0, 2*Math.PI)
+      ctx.fillStyle = d.color
+      ctx.fill()
+      if (this.sfc4.level<4) ctx.stroke();
+    }
+    if (lay.labelMain) { // cell ID label text, white and black
+      const white = (rw<40)? (ck4==4? "8.8pt": "11.6pt"): "11.8pt", black = (rw<40)? (ck4==4? "8.2pt": "10.5pt"): "12.2pt"
+      for (const d of data) {
+        if (this.sfc4.nBKeys>4n) {
+          Object.assign(ctx, {font:`bold ${white} serif`, fillStyle:'#FFF'})
+          ctx.fillText(d.idPub, d.x+d.width/2.15 -0.5, d.y+d.height/1.7 +0.9)
+        }
+        Object.assign(ctx, {font:`${black} serif`, fillStyle:'#000'})
+        ctx.fillText(d.idPub, d.x+d.width/2.1, d.y+d.height/1.7 +1.3)
+      }
+    }
+    if (lay.labelIJ) { // (i,j) label text
+      Object.assign(ctx, {font:'8pt serif', fillStyle:'#A44'})
+      for (const d of data) ctx.fillText(`${d.i},${d.j}`, d.x+0.8 + (this.sfc4.isHalf? 0.8: 0), d.y+10);
+    }
+  }
+
+  /**
+   * Draws the colors of the cells (see bitsToColors()) by screen pixel, for cells smaller than MIN_CELL_SIZE.
+   * The keys of the pixels are of the batch xy_toKeys().
+   */
+  drawRaster() {
+    const {k, x:tx, y:ty} = this.zoom
+    const w = Math.ceil(this.box_width), h = Math.ceil(this.box_height), n = w*h
+    let xs = new Float64Array(n), ys = new Float64Array(n)
+    for (let py=0, p=0; py<h; py++) for (let px=0; px<w; px++, p++) {
+      xs[p] = (px+0.5-tx)/k
+      ys[p] = (py+0.5-ty)/k
+    }
+    const keys = this.xy_toKeys(xs,ys,null,true), keyBits = this.sfc4.keyBits
+    let img = this.ctx.createImageData(w,h), data = img.data
+    for (let p=0; p<n; p++) {
+      if (this.transform) { // outside the quadrilateral
+        const [u,v] = this.xy_to_unit(xs[p],ys[p])
+        if (u<0 || u>1 || v<0 || v>1) continue;
+      }
+      const rgb = GridOfCurve_Canvas.color_toInt( this.bitsToColors(keys[p].toString(2), keyBits) ), q = 4*p
+      data[q] = rgb >> 16; data[q+1] = (rgb >> 8) & 255; data[q+2] = rgb & 255; data[q+3] = 255
+    }
+    this.ctx.putImageData(img, 0, 0)
+  }
+
+  /**
+   * The distinctColors of dataBuild(), by its sample of keys, without the data of all cells.
+   */
+  colors_build() {
+    this.distinctColors = {}
+    const step = (this.num_nBKeys<150)? 1: this.nBKeysFrac
+    for (let key=(step>1)? 1: 0; key<this.num_nBKeys; key+=step)
+      for (const d of this.iterData(BigInt(key), BigInt(key))) this.distinctColors[d.color] = d.idPub;
+  }
+
+  /**
+   * The rainbow caption of GridOfCurve_D3.buildCaption(), with the elements of GridOfCurve_SVG.buildCaption().
+   * @param string svgSelect: CSS selector of the SVG of the caption.
+   */
+  buildCaption(svgSelect='#rainbow svg') {
+    const svg = this.env.document? this.env.document.querySelector(svgSelect): null
+    if (!svg) return;
+    svg.setAttribute("width", 40)
+    svg.setAttribute("height", this.box_width+20)
+    svg.innerHTML = GridOfCurve_SVG.prototype.buildCaption.call(this).join('')
+  }
+
+  /**
+   * Translates canvas (screen) coordinates to (x,y) coordinates of the grid, by the zoom.
+   * @return [float,float].
+   */
+  screen_to_xy(px,py) {
+    return [(px-this.zoom.x)/this.zoom.k, (py-this.zoom.y)/this.zoom.k]
+  }
+
+  /**
+   * Zoom/pan, as d3.zoom with scaleExtent [1, cell of the box size] and translateExtent of the box. Redraws.
+   * @param float k: the scale.
+   * @param float x: the X translation, in pixels.
+   * @param float y: the Y translation, in pixels.
+   */
+  zoom_to(k, x=this.zoom.x, y=this.zoom.y) {
+    k = Math.min( Math.max(k,1), Math.max(1,Number(this.sfc4.nRefRows)) )
+    this.zoom = {
+      k: k,
+      x: Math.min( 0, Math.max(x, this.box_width*(1-k)) ),
+      y: Math.min( 0, Math.max(y, this.box_height*(1-k)) )
+    }
+    this.redraw()
+  }
+
+  /**
+   * Zoom by a factor, preserving the grid point under the screen point (px,py).
+   */
+  zoom_at(factor, px, py) {
+    const z = this.zoom, k = Math.min( Math.max(z.k*factor,1), Math.max(1,Number(this.sfc4.nRefRows)) )
+    this.zoom_to(k, px - (px-z.x)*k/z.k, py - (py-z.y)*k/z.k)
+  }
+
+  redraw() { // build(false), once by animation frame in the browser
+    const win = this.env.window
+    if (!win || !win.requestAnimationFrame) return this.build(false);
+    if (this.redrawPending) return;
+    this.redrawPending = true
+    win.requestAnimationFrame( () => { this.redrawPending = false; this.build(false) } )
+  }
+
+  tooltip_build() {
+    const canvas = this.ctx.canvas, doc = this.env.document
+    if (!canvas || !canvas.addEventListener) return; // mock without events
+    const tpNode = doc? doc.querySelector(`#${this.domRef_id} div.theChartTooltip`): null
+    var lastCellPos = [null,null]
+    canvas.addEventListener('mouseover', () => { if (tpNode) tpNode.style.display = "inline" })
+    canvas.addEventListener('mouseout', () => {
+      if (tpNode) tpNode.style.display = "none"
+      lastCellPos = [null,null]
+      if (this.hoverId16!==null) { this.hoverId16 = null; this.redraw() }
+    })
+    canvas.addEventListener('mousemove', e => {
+      const grd_IJ = this.xy_to_ij( ...this.screen_to_xy(e.offsetX, e.offsetY), true )
+      if (lastCellPos[0]!=grd_IJ[0] || lastCellPos[1]!=grd_IJ[1]) { // only to reduce CPU costs
+        this.sfc4.setBkey_byIJ(grd_IJ) // the curve can be changed after build
+        const msg = this.tooltip_msg(grd_IJ)
+        if (tpNode) tpNode.innerHTML = msg[1]
+        if (this.layout_used().rects) { this.hoverId16 = msg[0]; this.redraw() }
+        lastCellPos = grd_IJ
+      }
+      if (tpNode) { tpNode.style.left = e.pageX+'px'; tpNode.style.top = e.pageY+'px' }
+    })
+  }
+
+  /**
+   * Zoom by the mouse wheel and double click, pan by dragging. Enabled when the zoomNode value is 1, see env_default().
+   */
+  build_zoomTool() {
+    const canvas = this.ctx.canvas, zoomNode = this.env.zoomNode
+    if (!canvas || !canvas.addEventListener) return;
+    const enabled = () => !zoomNode || zoomNode.value==1
+    let drag = null
+    canvas.addEventListener('wheel', e => {
+      if (!enabled()) return;
+      e.preventDefault()
+      this.zoom_at(Math.pow(2, -e.deltaY/250), e.offsetX, e.offsetY)
+    })
+    canvas.addEventListener('dblclick', e => { if (enabled()) this.zoom_at(2, e.offsetX, e.offsetY) })
+    canvas.addEventListener('mousedown', e => { if (enabled()) drag = [e.offsetX, e.offsetY] })
+    canvas.addEventListener('mousemove', e => {
+      if (!drag) return;
+      this.zoom_to(this.zoom.k, this.zoom.x + e.offsetX-drag[0], this.zoom.y + e.offsetY-drag[1])
+      drag = [e.offsetX, e.offsetY]
+    })
+    for (const ev of ['mouseup','mouseleave']) canvas.addEventListener(ev, () => { drag = null });
+  }
+
+} // \GridOfCurve_Canvas
+
+/**
+ * Default environment of GridOfCurve_Canvas, from the browser globals (null when headless), see GridOfCurve_D3.env_default().
+ * The *context* is the injected 2D context, or null to use the canvas of the DOM.
+ * @return object {document,window,alert,canvasWidth_min,zoomNode,context}.
+ */
+GridOfCurve_Canvas.env_default = () => ({
+  document: (typeof document !== 'undefined')? document: null,
+  window:   (typeof window !== 'undefined')? window: null,
+  alert:    (typeof alert !== 'undefined')? alert: null,
+  canvasWidth_min: 320,
+  zoomNode: null,
+  context:  null
+})
+
+GridOfCurve_Canvas.color_toInt = c => { // '#RGB' or '#RRGGBB' to 0xRRGGBB
+  const v = parseInt(c.slice(1),16)
+  return (c.length==4)? ((v>>8)&15)*0x110000 + ((v>>4)&15)*0x1100 + (v&15)*0x11: v
+}
 
 ////////////// non-exported components of this module.
 
 function adTag(s,tag="code") { return `<${tag}>${s}</${tag}>`; }
+
+
+// // // // // //
+// for Node:
+if (typeof window === 'undefined') { // suppose it is not a browser
+  module.exports = { GridOfCurve, QuadTransform, GridOfCurve_Geo, RegionCoverer, GridOfCurve_D3, GridOfCurve_SVG, GridOfCurve_Canvas }
+}
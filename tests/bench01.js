@@ -2,14 +2,14 @@
 //   node  --experimental-modules tests/bench01.js > t01.txt
 //   diff t01.txt tests/bench01.txt
 
-const { GSfc4qLbl_Morton, GSfc4qLbl_Hilbert, GSfc4q } = require('../src/GSfc4q.js');
+const { GSfc4q } = require('../src/GSfc4q.js');
 
 GSfc4q.conf_alertLevel=1
 
 var mrt, hlb;
 for (let l=0.5; l<3;  l=l+0.5) {
-	mrt = new GSfc4qLbl_Morton(l,"4h")
-	hlb = new GSfc4qLbl_Hilbert(l,"4h")
+	mrt = GSfc4q.create('Morton',l,"4h")
+	hlb = GSfc4q.create('Hilbert',l,"4h")
 	console.log(`\n--- LEVEL ${l} ----`)
 	showBase4hValues(mrt.nKeys)
 }
@@ -27,3 +27,30 @@ function showBase4hValues(imax){
   } // \for
 } // \func
 
+
+// Batch of typed arrays (ij_toKeys and keys_toIJ) against the per-call methods (ij_toKey and key_decode).
+// Throws on any difference. The timings are written to stderr, so the output is still comparable with bench01.txt.
+
+benchBatch(20000)
+
+function benchBatch(size){
+  let seed = 1 // deterministic pseudo-random cells
+  const rnd = n => { seed = (seed*1103515245 + 12345) % 2147483648; return Math.floor(seed/2147483648*n) }
+  for (const name of GSfc4q.curveNames()) for (const l of [8, 16.5, 26, 30]) {
+    const sfc = GSfc4q.create(name,l,"4h"), n = Number(sfc.nRefRows)
+    const iArr = new Uint32Array(size), jArr = new Uint32Array(size)
+    for (let k=0; k<size; k++) { iArr[k] = rnd(n); jArr[k] = rnd(n) }
+    let t0 = Date.now()
+    const keys = sfc.ij_toKeys(iArr,jArr)
+    const [iOut,jOut] = sfc.keys_toIJ(keys)
+    const tBatch = Date.now()-t0
+    t0 = Date.now()
+    for (let k=0; k<size; k++) {
+      const key = sfc.ij_toKey(iArr[k],jArr[k])
+      const [i,j] = sfc.key_decode(key)[0]
+      if (BigInt(keys[k])!==key || BigInt(iOut[k])!==i || BigInt(jOut[k])!==j)
+        throw new Error(`${name} level ${l}: batch differs at IJ (${iArr[k]},${jArr[k]})`);
+    }
+    console.error(`${name}\tlevel ${l}\t${size} cells:\tbatch ${tBatch} ms\t| per-call ${Date.now()-t0} ms`)
+  } // \for
+} // \func
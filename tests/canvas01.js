@@ -0,0 +1,63 @@
+// To execute on terminal:
+//   node tests/canvas01.js
+// Checks GridOfCurve_Canvas with a mock 2D context, no browser: the cell and raster paths, and the zoom between them.
+
+const assert = require('assert');
+const { GSfc4q } = require('../src/GSfc4q.js');
+const { GridOfCurve_Canvas } = require('../src/curves-grid.js');
+
+GSfc4q.conf_alertLevel=1
+
+/**
+ * Mock of CanvasRenderingContext2D, counting the calls and the fillStyle of each fill().
+ */
+function ctx_mock() {
+  let ctx = { canvas: {width:0, height:0}, calls: {}, fills: [], image: null }
+  const count = name => ctx.calls[name] = (ctx.calls[name] || 0) + 1
+  for (const name of ['setTransform','clearRect','fillRect','strokeRect','beginPath','moveTo','lineTo','stroke','arc','fillText'])
+    ctx[name] = () => count(name)
+  ctx.fill = () => { count('fill'); ctx.fills.push(ctx.fillStyle) }
+  ctx.createImageData = (w,h) => ({ width:w, height:h, data: new Uint8ClampedArray(4*w*h) })
+  ctx.putImageData = img => { count('putImageData'); ctx.image = img }
+  return ctx
+}
+
+function rgba(color) { // '#rgb' or '#rrggbb' to [r,g,b,255]
+  const v = GridOfCurve_Canvas.color_toInt(color)
+  return [v >> 16, (v >> 8) & 255, v & 255, 255]
+}
+
+// small level, the cell path:
+let ctx = ctx_mock()
+let grid = new GridOfCurve_Canvas({ sfc4: GSfc4q.create('Hilbert',2,"4h"), box_width: 400, env: {context:ctx} })
+assert.strictEqual(ctx.calls.putImageData, undefined)
+assert.strictEqual(ctx.calls.arc, 16)
+assert.strictEqual(ctx.calls.fillRect, 16)
+assert.deepStrictEqual( ctx.fills, [...Array(16).keys()].map( key => grid.bitsToColors(key.toString(2), grid.sfc4.keyBits) ) )
+assert.strictEqual(ctx.canvas.width, 410)
+
+// level 10, the raster path:
+ctx = ctx_mock()
+grid = new GridOfCurve_Canvas({ sfc4: GSfc4q.create('Hilbert',10,"4h"), box_width: 400, env: {context:ctx} })
+assert.strictEqual(ctx.calls.putImageData, 1)
+assert.strictEqual(ctx.calls.arc, undefined)
+assert.strictEqual(ctx.image.width, 400)
+for (const [px,py] of [[0,0], [77,123], [399,399], [250,3]]) { // the color of the cell of the pixel center
+  const key = grid.sfc4.ij_toKey( ...grid.xy_to_ij(px+0.5, py+0.5) ), p = 4*(py*400 + px)
+  assert.deepStrictEqual(
+    [...ctx.image.data.slice(p, p+4)],
+    rgba( grid.bitsToColors(key.toString(2), grid.sfc4.keyBits) ),
+    `pixel (${px},${py})`
+  )
+}
+
+// zoom in to the cell path, only the visible cells, and zoom out to the raster path:
+grid.zoom_at(16, 200, 200)
+assert.deepStrictEqual(grid.zoom, {k:16, x:-3000, y:-3000})
+assert.strictEqual(ctx.calls.putImageData, 1)
+assert.ok(ctx.calls.arc>=64*64 && ctx.calls.arc<=65*65, `${ctx.calls.arc} visible cells`)
+grid.zoom_at(1/16, 200, 200)
+assert.deepStrictEqual(grid.zoom, {k:1, x:0, y:0})
+assert.strictEqual(ctx.calls.putImageData, 2)
+
+console.log("canvas01: ok")
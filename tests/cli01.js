@@ -0,0 +1,37 @@
+// To execute on terminal:
+//   node tests/cli01.js
+// Checks the errors of the bin/sfc4q.js tool: message on stderr and exit status 1, no output row of the invalid input.
+
+const assert = require('assert');
+const { spawnSync } = require('child_process');
+const path = require('path');
+
+const bin = path.join(__dirname, '../bin/sfc4q.js')
+
+function sfc4q(args, input='') {
+  const r = spawnSync(process.execPath, [bin, ...args.split(' ')], { input: input, encoding: 'utf8' })
+  return { status: r.status, stdout: r.stdout, stderr: r.stderr }
+}
+
+function assertError(args, message, input='', stdout='') {
+  const r = sfc4q(args, input)
+  assert.strictEqual(r.status, 1, args)
+  assert.strictEqual(r.stdout, stdout, args)
+  assert.ok(r.stderr.includes(message), `${args}: ${r.stderr}`)
+}
+
+// convert, labels not fitting in a non-hierarchical base:
+assertError('convert 10 --from 4h --to 32nvu', 'label "10" of level 2 (4 bits) not fits in the base 32nvu')
+assertError('convert 1 --from 4h --to 16js', 'label "1" of level 1 (2 bits) not fits in the base 16js')
+assertError('convert --from 4h --to 32nvu', 'sfc4q: line 2: label "10"', '10Q\n10\n', '10Q\t9\t5\n') // batch mode
+assert.strictEqual( sfc4q('convert 10Q --from 4h --to 32nvu').stdout, '10Q\t9\t5\n' )
+assert.strictEqual( sfc4q('convert 1 --from 4h --to 16h').stdout, '1\tM\t2\n' )
+
+// encode, IJ coordinates not non-negative integers:
+assertError('encode --level 3 1.5 2', 'sfc4q: IJ coordinate "1.5" is not a non-negative integer')
+assertError('encode --level 3 1 -2', 'IJ coordinate "-2" is not a non-negative integer')
+assertError('encode --level 3 x 2', 'IJ coordinate "x" is not a non-negative integer')
+assertError('encode --level 3', 'sfc4q: line 1: IJ coordinate "1e3"', '1e3 2\n')
+assert.strictEqual( sfc4q('encode --level 3 1 2').stdout, '13\t031\t3\n' )
+
+console.log("cli01: ok")
@@ -0,0 +1,35 @@
+// To execute on terminal:
+//   node tests/prefixes01.js
+// Checks keyRange_toPrefixes(): the prefixes are valid for the level APIs and have exactly the range as descendants.
+
+const assert = require('assert');
+const { GSfc4q } = require('../src/GSfc4q.js');
+
+GSfc4q.conf_alertLevel=1
+
+function descendants(sfc4, prefixes, level) { // the ranges of the prefixes, merged
+  let r = []
+  for (const p of prefixes) {
+    sfc4.id_byKey(p.key, p.level) // throws ERR10 for invalid levels
+    const [a,b] = sfc4.key_descendants(p.key, level, p.level)
+    if (r.length && r[r.length-1][1]+1n==a) r[r.length-1][1] = b; else r.push([a,b]);
+  }
+  return r
+}
+
+for (const curve of ['Hilbert','Morton']) for (const level of [0.5, 1, 2.5, 3]) {
+  const sfc4 = GSfc4q.create(curve, level, "4h"), last = sfc4.nKeys-1n
+  // the whole grid, the two cells of level 0.5:
+  const all = sfc4.keyRange_toPrefixes(0n, last)
+  assert.deepStrictEqual(all, [{key:0n, level:0.5}, {key:1n, level:0.5}], `${curve} ${level}`)
+  assert.deepStrictEqual(descendants(sfc4, all, level), [[0n,last]])
+  assert.deepStrictEqual(sfc4.keyRange_toLabels(0n, last), ['G','Q'])
+  // all ranges:
+  for (let start=0n; start<=last; start++) for (let end=start; end<=last; end++) {
+    const prefixes = sfc4.keyRange_toPrefixes(start, end)
+    assert.ok( prefixes.every(p => p.level>=0.5 && p.level<=level) )
+    assert.deepStrictEqual(descendants(sfc4, prefixes, level), [[start,end]], `${curve} ${level} [${start},${end}]`)
+  }
+}
+
+console.log("prefixes01: ok")
@@ -0,0 +1,10 @@
+// To execute on terminal:
+//   node tests/svg01.js > t01.svg
+//   diff t01.svg tests/svg01.svg
+
+const { GSfc4q } = require('../src/GSfc4q.js');
+const { GridOfCurve_SVG } = require('../src/curves-grid.js');
+
+GSfc4q.conf_alertLevel=1
+
+process.stdout.write( new GridOfCurve_SVG( GSfc4q.create('Hilbert',2.5,"4h"), 300 ).build() )